@@ -0,0 +1,58 @@
+const { FORMATS } = require('../utils/mediaInspector');
+
+const MB = 1024 * 1024;
+
+// what each kind of chat attachment may be by default. formats are keys of FORMATS, the kind a file
+// counts as is decided from its content. every kind can be overridden from the environment:
+//   UPLOAD_<KIND>_FORMATS=jpeg,png   UPLOAD_<KIND>_MAX_MB=10
+const DEFAULTS = {
+    image: { formats: ['jpeg', 'png', 'gif'], maxMb: 10 },
+    video: { formats: ['mp4', 'mov', 'webm', 'avi'], maxMb: 50 },
+    audio: { formats: ['mp3', 'aac', 'ogg', 'wav', 'flac', 'mp4', 'webm'], maxMb: 20 },
+    file: { formats: ['pdf', 'zip', 'ole', 'rar', '7z', 'gzip', 'text'], maxMb: 25 },
+};
+
+const readFormats = (kind, fallback) => {
+    const raw = process.env[`UPLOAD_${kind.toUpperCase()}_FORMATS`];
+    if (!raw) {
+        return fallback;
+    }
+    const formats = raw.split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+    const unknown = formats.filter(format => !FORMATS[format]);
+    if (unknown.length > 0) {
+        throw new Error(`UPLOAD_${kind.toUpperCase()}_FORMATS has unknown formats: ${unknown.join(', ')}`);
+    }
+    return formats;
+};
+
+const readMaxBytes = (kind, fallback) => {
+    const raw = process.env[`UPLOAD_${kind.toUpperCase()}_MAX_MB`];
+    const mb = raw === undefined || raw === '' ? fallback : Number(raw);
+    if (!Number.isFinite(mb) || mb <= 0) {
+        throw new Error(`UPLOAD_${kind.toUpperCase()}_MAX_MB must be a positive number`);
+    }
+    return Math.floor(mb * MB);
+};
+
+let uploadKinds = null;
+
+// { formats, maxBytes } for every kind. index.js reads it once right after loading .env, which also
+// validates it; throws on a bad setting
+const getUploadKinds = () => {
+    if (!uploadKinds) {
+        uploadKinds = Object.fromEntries(Object.entries(DEFAULTS).map(([kind, { formats, maxMb }]) => [kind, {
+            formats: readFormats(kind, formats),
+            maxBytes: readMaxBytes(kind, maxMb),
+        }]));
+    }
+    return uploadKinds;
+};
+
+// the largest file any of `kinds` accepts, for multer's limit before the content is known
+const maxUploadBytes = (kinds) => Math.max(...kinds.map(kind => getUploadKinds()[kind].maxBytes));
+
+// every extension that can belong to an allowed format of `kinds`, e.g. ['.jpg', '.jpeg', ...]
+const allowedExtensions = (kinds) => [...new Set(kinds.flatMap(kind => getUploadKinds()[kind].formats
+    .flatMap(format => Object.keys(FORMATS[format].extensions))))];
+
+module.exports = { getUploadKinds, maxUploadBytes, allowedExtensions };
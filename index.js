@@ -2,26 +2,59 @@ const express = require('express');
 const dotenv = require('dotenv');
 const mongoose = require('mongoose');
 const http = require('http');
+const path = require('path');
 const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
-const path = require('path');
 
 // import route handlers
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
+const contactRoutes = require('./routes/contacts');
+const blockRoutes = require('./routes/blocks');
 const chatRoutes = require('./routes/chats');
 const messageRoutes = require('./routes/messages');
+const inviteRoutes = require('./routes/invites');
+const scheduledMessageRoutes = require('./routes/scheduledMessages');
+const mediaRoutes = require('./routes/media');
 
 // import mongoose models
 const User = require('./models/User');
 const Chat = require('./models/Chat');
 const Message = require('./models/Message');
 
+const { MESSAGE_POPULATE, formatMessage } = require('./utils/messageFormatter');
+const { findReplyTarget, registerReply } = require('./utils/replies');
+const { applyReaction } = require('./utils/reactions');
+const { presenceSocketHandler, resetPresence } = require('./socketHandlers/presenceHandler');
+const chatSocketHandler = require('./socketHandlers/chatHandler');
+const { markChatRead, countUnread } = require('./utils/readState');
+const { isSessionActive } = require('./utils/sessions');
+const { hiddenReceiverRooms } = require('./utils/blocks');
+const { checkCanSend, formatSendRejection } = require('./utils/sendPermissions');
+const { resurfaceChat } = require('./utils/chatPreferences');
+const { startScheduler } = require('./utils/messageScheduler');
+const { messageExpiry } = require('./utils/disappearingMessages');
+const { startExpiryJob } = require('./utils/messageExpiryJob');
+const { getStorage } = require('./storage');
+const { getUploadKinds } = require('./config/uploads');
+const { getMailTransport } = require('./mail');
+const { clearTyping } = chatSocketHandler;
+
 dotenv.config(); // load environment variables from .env file
 
+// read the UPLOAD_* and MAIL_TRANSPORT settings now so a misconfigured deploy fails at boot rather than
+// on the first upload or mail
+getUploadKinds();
+getMailTransport();
+
 // connect to mongodb database
 mongoose.connect(process.env.MONGODB_URI)
-    .then(() => console.log('mongodb connected'))
+    .then(() => {
+        console.log('mongodb connected');
+        return resetPresence();
+    })
+    .then(() => startScheduler(io)) // deliver scheduled messages that are due, arm timers for the rest
+    .then(() => startExpiryJob(io))
     .catch(err => console.error('mongodb connection error:', err));
 
 const app = express();
@@ -33,8 +66,8 @@ app.use(express.json());
 // configure cors (cross-origin resource sharing) for client access
 app.use((req, res, next) => {
     res.setHeader('access-control-allow-origin', process.env.CLIENT_URL || 'http://localhost:3000');
-    res.setHeader('access-control-allow-methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('access-control-allow-headers', 'Content-Type, Authorization');
+    res.setHeader('access-control-allow-methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('access-control-allow-headers', 'Content-Type, Authorization, Range');
     res.setHeader('access-control-allow-credentials', true);
     // handle preflight requests for cors
     if (req.method === 'OPTIONS') {
@@ -58,14 +91,25 @@ app.use((req, res, next) => {
     next();
 });
 
-// serve static files from the 'uploads' directory
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// profile pictures and group avatars are public and served straight from disk when stored locally (other
+// storage drivers hand out their own urls). chat attachments are only reachable through /api/media
+const storage = getStorage();
+if (storage.name === 'local') {
+    ['profile_pictures', 'group_avatars'].forEach(folder => {
+        app.use(`/uploads/${folder}`, express.static(path.join(storage.root, folder)));
+    });
+}
 
 // define api routes
 app.use('/api/auth', authRoutes);
+app.use('/api/users/contacts', contactRoutes);
+app.use('/api/users/blocks', blockRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/chats', chatRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/invites', inviteRoutes);
+app.use('/api/scheduled-messages', scheduledMessageRoutes);
+app.use('/api/media', mediaRoutes);
 
 // root endpoint for api status check
 app.get('/', (req, res) => {
@@ -80,6 +124,10 @@ io.use(async (socket, next) => {
     }
     try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+            return next(new Error('authentication error: session revoked'));
+        }
+        socket.sessionId = decoded.sid || null; // lets a revoked session disconnect its sockets
         socket.user = await User.findById(decoded.id).select('-password'); // attach user data to socket
         if (!socket.user) {
             return next(new Error('authentication error: user not found'));
@@ -100,12 +148,35 @@ io.on('connection', (socket) => {
     // if user is authenticated, join their personal room
     if (socket.user) {
         socket.join(`user_${socket.user._id.toString()}`);
+        if (socket.sessionId) {
+            socket.join(`session_${socket.sessionId}`);
+        }
         console.log(`socket.io: user ${socket.user.username} registered to personal room.`);
     }
 
+    // track online status across all of the user's devices
+    presenceSocketHandler(io, socket);
+
+    // typing indicators
+    chatSocketHandler(io, socket);
+
     // handler for joining a chat room
-    socket.on('join_chat', (chatId) => {
-        socket.join(chatId);
+    // only participants may join, the room carries message events with signed media links
+    socket.on('join_chat', async (chatId) => {
+        if (!socket.user || !mongoose.Types.ObjectId.isValid(chatId)) {
+            return;
+        }
+        try {
+            const isParticipant = await Chat.exists({ _id: chatId, participants: socket.user._id });
+            if (!isParticipant) {
+                socket.emit('messageError', 'not authorized to join this chat.');
+                return;
+            }
+        } catch (error) {
+            console.error('[socket error] failed to join chat room:', error.message);
+            return;
+        }
+        socket.join(chatId.toString());
         console.log(`socket.io: user ${socket.user ? socket.user.username : 'unknown'} (${socket.id}) joined chat room: ${chatId}`);
     });
 
@@ -116,7 +187,7 @@ io.on('connection', (socket) => {
     });
 
     // socket.io 'sendmessage' handler
-    socket.on('sendMessage', async ({ chatId, content }) => {
+    socket.on('sendMessage', async ({ chatId, content, replyTo }) => {
         try {
             // basic validation for message data
             if (!chatId || !content || !socket.user || !socket.user._id) {
@@ -133,36 +204,64 @@ io.on('connection', (socket) => {
                 return;
             }
 
+            // blocks, announcement-only groups and slow mode apply here just like over rest
+            const rejection = await checkCanSend(chat, socket.user);
+            if (rejection) {
+                socket.emit('messageError', formatSendRejection(rejection));
+                return;
+            }
+
+            // a reply must point at a live message in the same chat
+            if (replyTo) {
+                const replyTarget = await findReplyTarget(chatId, replyTo);
+                if (replyTarget.error) {
+                    socket.emit('messageError', replyTarget.error);
+                    return;
+                }
+            }
+
             // create and save the new message document
             const newMessage = new Message({
                 chat: chatId,
                 sender: socket.user._id, // assign the objectid of the sender
                 content: content,
-                readBy: [socket.user._id] // mark as read by the sender upon creation
+                replyTo: replyTo || null,
+                readBy: [socket.user._id], // mark as read by the sender upon creation
+                expiresAt: messageExpiry(chat)
             });
 
             const savedMessage = await newMessage.save();
             console.log(`[socket] new message saved with id: ${savedMessage._id}`);
 
+            // sending a message ends the sender's typing indicator
+            clearTyping(io, chatId, socket.user._id);
+
+            if (replyTo) {
+                await registerReply(replyTo);
+            }
+            await resurfaceChat(chat._id);
+
             // update the chat's lastmessage and updatedat fields
             chat.lastMessage = savedMessage._id; // assign savedmessage._id (objectid)
             chat.updatedAt = savedMessage.createdAt; // use message's creation time for chat update
             await chat.save(); // save the updated chat document
             console.log(`[socket] chat ${chatId} updated with lastmessage id: ${savedMessage._id}`);
 
-            // populate sender details for the message before emitting to clients
-            const messageToEmit = await Message.findById(savedMessage._id)
-                .populate('sender', 'username profilePicture')
+            // populate sender and quoted message details before emitting to clients
+            const populatedMessage = await Message.findById(savedMessage._id)
+                .populate(MESSAGE_POPULATE)
                 .lean(); // convert to plain js object for efficient emission
 
-            if (!messageToEmit) {
+            if (!populatedMessage) {
                 console.error(`[socket error] failed to find or populate message ${savedMessage._id} after saving.`);
                 socket.emit('messageError', 'failed to process message after saving.');
                 return;
             }
 
             // emit the fully populated message to all participants in the chat room
-            io.to(chatId).emit('receive_message', messageToEmit);
+            const messageToEmit = formatMessage(populatedMessage);
+            const hiddenRooms = await hiddenReceiverRooms(chat, socket.user._id);
+            io.to(chatId).except(hiddenRooms).emit('receive_message', messageToEmit);
             console.log(`[socket] emitted 'receive_message' to chat room ${chatId}. message content: ${messageToEmit.content}`);
 
             // fetch and emit updated chat details for sidebar/chat list updates
@@ -207,8 +306,30 @@ io.on('connection', (socket) => {
         }
     });
 
+    // socket.io 'message_reaction' handler. action is 'add' or 'remove'
+    socket.on('message_reaction', async ({ chatId, messageId, emoji, action = 'add' } = {}) => {
+        try {
+            if (!socket.user || !socket.user._id) {
+                socket.emit('messageError', 'authenticated user is required to react.');
+                return;
+            }
+
+            const result = await applyReaction({ chatId, messageId, userId: socket.user._id, emoji, action });
+            if (result.error) {
+                socket.emit('messageError', result.error);
+                console.warn(`[socket] reaction rejected for ${socket.user.username} on message ${messageId}: ${result.error}`);
+                return;
+            }
+
+            io.to(result.chatId).emit('reaction_updated', result);
+        } catch (error) {
+            console.error('error updating reaction via socket:', error);
+            socket.emit('messageError', 'server error updating reaction.');
+        }
+    });
+
     // socket.io 'mark_as_read' handler
-    socket.on('mark_as_read', async ({ chatId }) => {
+    socket.on('mark_as_read', async ({ chatId, messageId }) => {
         try {
             if (!chatId || !socket.user || !socket.user._id) {
                 console.warn(`[socket] invalid mark_as_read request: chatid=${chatId}, user=${socket.user ? socket.user._id : 'none'}`);
@@ -221,16 +342,22 @@ io.on('connection', (socket) => {
                 return;
             }
 
-            // mark messages as read for this user in this chat, only messages not sent by this user
-            const updateResult = await Message.updateMany(
-                {
-                    chat: chatId,
-                    sender: { $ne: socket.user._id }, // only mark messages sent by others
-                    readBy: { $ne: socket.user._id }   // only messages not already read by this user
-                },
-                { $addToSet: { readBy: socket.user._id } }
-            );
-            console.log(`[socket] messages in chat ${chatId} marked as read by ${socket.user.username}. modified count: ${updateResult.modifiedCount}`);
+            // move this user's read cursor instead of rewriting every message
+            const readState = await markChatRead(chat._id, socket.user._id, messageId || null);
+            console.log(`[socket] chat ${chatId} marked as read by ${socket.user.username}.`);
+
+            if (readState) {
+                const cursor = {
+                    chatId: chatId.toString(),
+                    userId: socket.user._id.toString(),
+                    lastReadMessage: readState.lastReadMessage ? readState.lastReadMessage.toString() : null,
+                    lastReadAt: readState.lastReadAt.toISOString(),
+                };
+                const chatReadState = await Chat.findById(chat._id).select('_id readStates').lean();
+                const unreadCounts = await countUnread([chatReadState], socket.user._id);
+                io.to(`user_${socket.user._id.toString()}`).emit('chatRead', { ...cursor, unreadCount: unreadCounts.get(cursor.chatId) || 0 });
+                io.to(chatId.toString()).emit('read_receipt', cursor);
+            }
 
             // fetch the updated chat for sidebar if needed, to reflect changes in unread count on frontend
             const updatedChatForSidebar = await Chat.findById(chatId)
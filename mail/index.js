@@ -0,0 +1,36 @@
+const createSmtpTransport = require('./smtpTransport');
+const createOutboxTransport = require('./outboxTransport');
+
+// every transport exposes the same interface: { name, send({ to, subject, text, html }) -> Promise }
+const transports = {
+    smtp: createSmtpTransport,
+    outbox: createOutboxTransport
+};
+
+let transport = null;
+
+// pick the transport named by MAIL_TRANSPORT. without one, mail goes to the local outbox, except in
+// production where it has to be set: the outbox keeps live reset links on disk and sends nothing
+const getMailTransport = () => {
+    if (!transport) {
+        if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+            throw new Error('MAIL_TRANSPORT must be set in production');
+        }
+        const name = process.env.MAIL_TRANSPORT || 'outbox';
+        const create = transports[name];
+        if (!create) {
+            throw new Error(`unknown mail transport "${name}". expected one of: ${Object.keys(transports).join(', ')}`);
+        }
+        transport = create();
+    }
+    return transport;
+};
+
+// swap the transport at runtime, e.g. to capture mail in tests
+const setMailTransport = (customTransport) => {
+    transport = customTransport;
+};
+
+const sendMail = (mail) => getMailTransport().send(mail);
+
+module.exports = { sendMail, getMailTransport, setMailTransport };
@@ -0,0 +1,28 @@
+const fs = require('fs');
+const path = require('path');
+
+// offline transport for development and tests: every mail is written as json into an outbox
+// directory (MAIL_OUTBOX_DIR, default ./mail-outbox). the console only gets the recipient and subject,
+// the body holds tokens
+const createOutboxTransport = () => {
+    const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox'));
+
+    return {
+        name: 'outbox',
+        send: async ({ to, subject, text, html }) => {
+            await fs.promises.mkdir(outboxDir, { recursive: true });
+
+            const sentAt = new Date();
+            const fileName = `${sentAt.getTime()}-${Math.random().toString(36).slice(2, 8)}.json`;
+            await fs.promises.writeFile(
+                path.join(outboxDir, fileName),
+                JSON.stringify({ to, subject, text, html, sentAt: sentAt.toISOString() }, null, 2)
+            );
+
+            console.log(`[mail outbox] to=${to} subject="${subject}" file=${fileName}`);
+            return { fileName };
+        }
+    };
+};
+
+module.exports = createOutboxTransport;
@@ -0,0 +1,27 @@
+const nodemailer = require('nodemailer');
+
+// delivers mail through a real smtp server configured with the SMTP_* environment variables
+const createSmtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+        } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        send: ({ to, subject, text, html }) => transporter.sendMail({
+            from: process.env.MAIL_FROM || 'NextTalk <no-reply@nexttalk.local>',
+            to,
+            subject,
+            text,
+            html
+        })
+    };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,34 @@
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const passwordResetMail = (user, token, expiresInMinutes) => {
+    const link = `${clientUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+    return {
+        to: user.email,
+        subject: 'Reset your NextTalk password',
+        text: `Hi ${user.username},\n\nSomeone asked to reset the password for your NextTalk account. `
+            + `Open this link within ${expiresInMinutes} minutes to choose a new one:\n\n${link}\n\n`
+            + `If you didn't ask for this, you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.username)},</p><p>Someone asked to reset the password for your NextTalk account. `
+            + `Open this link within ${expiresInMinutes} minutes to choose a new one:</p>`
+            + `<p><a href="${link}">Reset password</a></p><p>If you didn't ask for this, you can ignore this email.</p>`
+    };
+};
+
+const emailVerificationMail = (user, token) => {
+    const link = `${clientUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+    return {
+        to: user.email,
+        subject: 'Verify your NextTalk email address',
+        text: `Hi ${user.username},\n\nPlease confirm this is your email address by opening:\n\n${link}`,
+        html: `<p>Hi ${escapeHtml(user.username)},</p><p>Please confirm this is your email address:</p>`
+            + `<p><a href="${link}">Verify email</a></p>`
+    };
+};
+
+module.exports = { passwordResetMail, emailVerificationMail };
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../utils/sessions');
 
 const protect = async (req, res, next) => {
     let token;
@@ -13,6 +14,12 @@ const protect = async (req, res, next) => {
             // verify token
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+            // tokens issued for a session die with it (logout or revoked device)
+            if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+                return res.status(401).json({ message: 'Not authorized, session revoked' });
+            }
+            req.sessionId = decoded.sid || null;
+
             // get user from the token and attach to request object
             req.user = await User.findById(decoded.id).select('-password')
             if (!req.user) {
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { uploadTempDir } = require('../storage');
+
+// multer instance for single-image uploads (profile pictures, group avatars). files land in the upload temp dir
+// until verifyUpload and storeUpload(folder) have run. file names are random, nothing from the request ends up in them
+const createImageUpload = () => {
+    const storage = multer.diskStorage({
+        destination: (req, file, cb) => {
+            const uploadPath = uploadTempDir();
+            fs.mkdirSync(uploadPath, { recursive: true });
+            cb(null, uploadPath);
+        },
+        filename: (req, file, cb) => {
+            cb(null, `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`);
+        }
+    });
+
+    return multer({
+        storage: storage,
+        limits: { fileSize: 5 * 1024 * 1024 },
+        fileFilter: (req, file, cb) => {
+            const filetypes = /jpeg|jpg|png|gif/;
+            const mimetype = filetypes.test(file.mimetype);
+            const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
+
+            if (mimetype && extname) {
+                return cb(null, true);
+            }
+            cb(new Error('Only images (jpeg, jpg, png, gif) are allowed!'));
+        }
+    });
+};
+
+module.exports = createImageUpload;
@@ -0,0 +1,10 @@
+// use after the auth middleware. accounts created before email verification existed have no
+// emailVerified field and are treated as verified
+const requireVerifiedEmail = (req, res, next) => {
+    if (req.user && req.user.emailVerified === false) {
+        return res.status(403).json({ message: 'Please verify your email address first', code: 'EMAIL_NOT_VERIFIED' });
+    }
+    next();
+};
+
+module.exports = requireVerifiedEmail;
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const { getStorage } = require('../storage');
+const { removeUploadedFile } = require('../utils/uploadedFiles');
+
+const removeTempFile = (filePath) => fs.promises.unlink(filePath).catch((err) => {
+    if (err.code !== 'ENOENT') {
+        console.error(`failed to remove temporary upload ${filePath}:`, err.message);
+    }
+});
+
+/*
+ * runs after verifyUpload: hands the checked file (and its thumbnail, if any) to the storage driver under
+ * `folder` and sets req.file.url and req.file.media.thumbnailUrl to the urls the driver returned.
+ * the temporary copies are always removed. requests without a file pass through
+ */
+const storeUpload = (folder) => async (req, res, next) => {
+    if (!req.file) {
+        return next();
+    }
+
+    const { thumbnailPath, ...media } = req.file.media || {};
+    try {
+        const storage = getStorage();
+        req.file.url = await storage.putFile(
+            `${folder}/${req.file.filename}`,
+            req.file.path,
+            media.mimeType || req.file.mimetype
+        );
+        if (thumbnailPath) {
+            media.thumbnailUrl = await storage.putFile(
+                `${folder}/thumbnails/${path.basename(thumbnailPath)}`,
+                thumbnailPath,
+                'image/webp'
+            );
+        }
+        req.file.media = media;
+    } catch (err) {
+        // a thumbnail that failed to store shouldn't leave the file itself behind
+        if (req.file.url) {
+            removeUploadedFile(req.file.url);
+        }
+        return res.status(500).json({ message: 'server error storing upload.', error: err.message });
+    } finally {
+        await removeTempFile(req.file.path);
+        if (thumbnailPath) {
+            await removeTempFile(thumbnailPath);
+        }
+    }
+    next();
+};
+
+module.exports = storeUpload;
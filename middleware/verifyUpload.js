@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const { inspectFile, mimeTypeFor } = require('../utils/mediaInspector');
+const { createThumbnail } = require('../utils/thumbnails');
+const { getUploadKinds, allowedExtensions } = require('../config/uploads');
+
+const MAX_NAME_LENGTH = 255;
+
+const removeFile = (filePath) => fs.unlink(filePath, (err) => {
+    if (err && err.code !== 'ENOENT') {
+        console.error(`failed to remove rejected upload ${filePath}:`, err.message);
+    }
+});
+
+// busboy reads plain filename="..." parameters as latin1, while browsers send utf-8 there
+const decodeFileName = (name) => {
+    if (/[^\u0000-\u00ff]/.test(name)) {
+        return name;
+    }
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(Buffer.from(name, 'latin1'));
+    } catch (error) {
+        return name;
+    }
+};
+
+// the name shown to other participants: no directories, control characters or endless names
+const cleanOriginalName = (name) => {
+    const base = path.basename(decodeFileName(name || '').replace(/\\/g, '/')).replace(/[\u0000-\u001f\u007f]/g, '').trim();
+    if (base.length <= MAX_NAME_LENGTH) {
+        return base || 'file';
+    }
+    const ext = path.extname(base).slice(0, 16);
+    return base.slice(0, MAX_NAME_LENGTH - ext.length) + ext;
+};
+
+/*
+ * runs after multer: checks the stored file's magic bytes against the formats allowed for `kinds` (image,
+ * video, audio, file), the upload's extension and that kind's size limit, then puts what it found on req.file.media as
+ * { mediaType, mimeType, size, originalName, width?, height?, duration?, thumbnailPath? }. storeUpload takes it
+ * from there. rejected files are deleted and answered with 400 INVALID_FILE_CONTENT or 413 FILE_TOO_LARGE.
+ * requests without a file pass through
+ */
+const verifyUpload = (kinds, { thumbnails = false } = {}) => async (req, res, next) => {
+    if (!req.file) {
+        return next();
+    }
+
+    try {
+        const media = await inspectFile(req.file.path);
+        const mimeType = media && kinds.includes(media.kind) && getUploadKinds()[media.kind].formats.includes(media.format)
+            ? mimeTypeFor(media, req.file.originalname)
+            : null;
+        if (!mimeType) {
+            removeFile(req.file.path);
+            return res.status(400).json({
+                message: `the file's content does not match an allowed type (${allowedExtensions(kinds).join(', ')}).`,
+                code: 'INVALID_FILE_CONTENT',
+            });
+        }
+
+        const { maxBytes } = getUploadKinds()[media.kind];
+        if (media.size > maxBytes) {
+            removeFile(req.file.path);
+            return res.status(413).json({
+                message: `${media.kind} uploads can be at most ${Number((maxBytes / (1024 * 1024)).toFixed(1))}MB.`,
+                code: 'FILE_TOO_LARGE',
+            });
+        }
+
+        const { format, kind, ...info } = media;
+        req.file.media = { ...info, mimeType, originalName: cleanOriginalName(req.file.originalname) };
+
+        if (thumbnails && kind === 'image') {
+            req.file.media.thumbnailPath = await createThumbnail(req.file.path);
+        }
+        next();
+    } catch (err) {
+        removeFile(req.file.path);
+        res.status(500).json({ message: 'server error checking upload.', error: err.message });
+    }
+};
+
+module.exports = verifyUpload;
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// single-use tokens mailed to users (password reset, email verification). only the hash is stored
+const AuthTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['password_reset', 'email_verification'],
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // the address the token was sent to. a verification token is void once the email changes
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+AuthTokenSchema.index({ user: 1, type: 1 });
+
+// expired tokens are removed by mongodb
+AuthTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', AuthTokenSchema);
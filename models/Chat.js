@@ -21,12 +21,55 @@ const ChatSchema = new mongoose.Schema({
             return this.type === 'group';
         }
     },
+    // group profile
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+        default: ''
+    },
+    avatar: {
+        type: String,
+        default: null
+    },
+
+    // group permission settings
+    settings: {
+        onlyAdminsCanEditInfo: {
+            type: Boolean,
+            default: true
+        },
+        // announcement mode: only admins can post
+        onlyAdminsCanSend: {
+            type: Boolean,
+            default: false
+        },
+        membersCanAddMembers: {
+            type: Boolean,
+            default: false
+        },
+        // minimum gap between two messages from the same member. 0 turns slow mode off
+        slowModeSeconds: {
+            type: Number,
+            default: 0,
+            min: 0,
+            max: 21600
+        }
+    },
+
     lastMessage: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Message',
         default: null
     },
 
+    // for group chats. the owner is always an admin and is the only one who can demote admins
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
     // for group chats. to manage administrators
     admins: [
         {
@@ -35,6 +78,101 @@ const ChatSchema = new mongoose.Schema({
         }
     ],
 
+    // messages sent while this is above 0 are removed that many seconds after sending
+    disappearingSeconds: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // messages pinned for everyone in the chat, oldest pin first
+    pinnedMessages: [
+        {
+            _id: false,
+            message: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Message',
+                required: true
+            },
+            pinnedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                required: true
+            },
+            pinnedAt: {
+                type: Date,
+                required: true
+            }
+        }
+    ],
+
+    // per-user read cursor: everything up to lastReadAt counts as read for that user
+    readStates: [
+        {
+            _id: false,
+            user: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                required: true
+            },
+            lastReadMessage: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Message',
+                default: null
+            },
+            lastReadAt: {
+                type: Date,
+                required: true
+            }
+        }
+    ],
+
+    // when each member last posted, for slow mode. claimed atomically by utils/sendPermissions
+    slowModeSends: [
+        {
+            _id: false,
+            user: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                required: true
+            },
+            lastSentAt: {
+                type: Date,
+                required: true
+            }
+        }
+    ],
+
+    // per-user chat list settings. hiding still goes through hiddenBy below
+    preferences: [
+        {
+            _id: false,
+            user: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                required: true
+            },
+            muted: {
+                type: Boolean,
+                default: false
+            },
+            // null while muted means muted until the user unmutes
+            mutedUntil: {
+                type: Date,
+                default: null
+            },
+            archived: {
+                type: Boolean,
+                default: false
+            },
+            // position among the user's pinned chats, null when not pinned
+            pinOrder: {
+                type: Number,
+                default: null
+            }
+        }
+    ],
+
     // new field to track who has hidden a private chat
     hiddenBy: [
         {
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// a pending contact request. accepted, declined or cancelled requests are removed
+const ContactRequestSchema = new mongoose.Schema({
+    from: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    to: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+ContactRequestSchema.index({ from: 1, to: 1 }, { unique: true });
+ContactRequestSchema.index({ to: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ContactRequest', ContactRequestSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// shareable link into a group chat
+const GroupInviteSchema = new mongoose.Schema({
+    chat: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chat',
+        required: true,
+        index: true
+    },
+    code: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // null means the link never expires
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    // null means unlimited joins
+    maxUses: {
+        type: Number,
+        default: null,
+        min: 1
+    },
+    uses: {
+        type: Number,
+        default: 0
+    },
+    // joins through this link wait in the chat's join-request queue for an admin
+    requireApproval: {
+        type: Boolean,
+        default: false
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('GroupInvite', GroupInviteSchema);
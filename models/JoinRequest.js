@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// a pending request to join a group through an approval-mode invite link. removed once handled
+const JoinRequestSchema = new mongoose.Schema({
+    chat: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chat',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    invite: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GroupInvite',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+JoinRequestSchema.index({ chat: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('JoinRequest', JoinRequestSchema);
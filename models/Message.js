@@ -20,10 +20,34 @@ const MessageSchema = new mongoose.Schema({
         default: null
     },
     mediaType: {
-        type: String, // 'image', 'video', 'gif'
-        enum: ['image', 'video', 'gif', null],
+        type: String, // 'image', 'video', 'gif', 'audio', 'file'
+        enum: ['image', 'video', 'gif', 'audio', 'file', null],
         default: null
     },
+    // what the upload turned out to be when its content was checked. null for text-only messages
+    mediaInfo: {
+        type: new mongoose.Schema({
+            originalName: String, // as uploaded, shown for files and voice notes
+            mimeType: String,
+            size: Number, // bytes
+            width: Number,
+            height: Number,
+            duration: Number, // seconds, for video and audio
+            thumbnailUrl: String
+        }, { _id: false }),
+        default: null
+    },
+    // emoji -> ids of the users who reacted with it. each id appears at most once per emoji
+    reactions: {
+        type: Map,
+        of: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            }
+        ],
+        default: {}
+    },
     readBy: [
         {
             type: mongoose.Schema.Types.ObjectId,
@@ -34,6 +58,61 @@ const MessageSchema = new mongoose.Schema({
         type: Boolean,
         default: false,
     },
+
+    // optional quoted/threaded reply. replyCount is kept on the parent
+    replyTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
+    replyCount: {
+        type: Number,
+        default: 0
+    },
+
+    // set on forwarded copies. sender is the original author, or null when they hide their name on forwards
+    forwardedFrom: {
+        type: new mongoose.Schema({
+            sender: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                default: null
+            },
+            anonymous: {
+                type: Boolean,
+                default: false
+            }
+        }, { _id: false }),
+        default: null
+    },
+
+    // set when the sender edits the message. previous versions are kept in editHistory
+    editedAt: {
+        type: Date,
+        default: null
+    },
+    editHistory: [
+        {
+            content: String,
+            replacedAt: Date
+        }
+    ],
+
+    // set for messages sent while the chat had disappearing messages on. removed by the expiry job
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+
+    // deleted messages are kept as a tombstone so replies and read state stay consistent
+    isDeleted: {
+        type: Boolean,
+        default: false
+    },
+    deletedAt: {
+        type: Date,
+        default: null
+    },
 }, {
     timestamps: true
 });
@@ -46,5 +125,14 @@ MessageSchema.pre('save', function(next) {
     next();
 });
 
+// history is always read per chat in createdAt order with _id breaking ties, so page through it with this index
+MessageSchema.index({ chat: 1, createdAt: -1, _id: -1 });
+MessageSchema.index({ replyTo: 1, createdAt: 1 });
+// forwarded copies share the original upload, so check for other references before removing a file
+MessageSchema.index({ mediaUrl: 1 }, { sparse: true });
+MessageSchema.index({ expiresAt: 1 }, { partialFilterExpression: { expiresAt: { $type: 'date' } } });
+
+// full-text search over message bodies (GET /api/messages/search)
+MessageSchema.index({ content: 'text' });
 
 module.exports = mongoose.model('Message', MessageSchema);
\ No newline at end of file
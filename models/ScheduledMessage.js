@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// a message written now and delivered to its chat at sendAt
+const ScheduledMessageSchema = new mongoose.Schema({
+    chat: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chat',
+        required: true
+    },
+    sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    content: {
+        type: String,
+        trim: true,
+        required: true
+    },
+    replyTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
+    sendAt: {
+        type: Date,
+        required: true
+    },
+    // pending -> sending -> sent, or cancelled by the sender, or dropped/failed at send time
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'cancelled', 'dropped', 'failed'],
+        default: 'pending'
+    },
+    // why a dropped or failed message was not sent, e.g. NOT_A_PARTICIPANT or ADMIN_ONLY_MESSAGES
+    failureCode: {
+        type: String,
+        default: null
+    },
+    // the Message created on delivery
+    message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// the scheduler loads due and pending jobs at boot, users list their own pending ones
+ScheduledMessageSchema.index({ status: 1, sendAt: 1 });
+ScheduledMessageSchema.index({ sender: 1, status: 1, sendAt: 1 });
+
+module.exports = mongoose.model('ScheduledMessage', ScheduledMessageSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// one row per signed-in device. only a hash of the refresh token is stored
+const SessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    deviceName: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: null
+    },
+    ip: {
+        type: String,
+        default: null
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// mongodb removes sessions on its own once the refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
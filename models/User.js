@@ -5,8 +5,16 @@ const userSchema = new mongoose.Schema({
     email: { type: String, required: true, unique: true, trim: true, lowercase: true },
     password: { type: String, required: true }, // hashed password
     profilePicture: { type: String, default: null },
+    profilePictureThumbnail: { type: String, default: null },
     contacts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-    onlineStatus: { type: Boolean, default: false }
+    blockedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    hideBlockedInGroups: { type: Boolean, default: false }, // hide blocked users' messages in shared groups
+    hideNameOnForward: { type: Boolean, default: false }, // forwarded copies of this user's messages show no sender
+    onlineStatus: { type: Boolean, default: false },
+    lastSeen: { type: Date, default: null },
+    // left unset on accounts that predate email verification, false until a new address is confirmed
+    emailVerified: { type: Boolean },
+    emailVerifiedAt: { type: Date, default: null }
 }, { timestamps: true });
 
 module.exports = mongoose.model('User', userSchema);
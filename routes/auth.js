@@ -1,9 +1,34 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const authMiddleware = require('../middleware/auth');
+const { createSession, rotateSession, revokeSession, revokeAllSessions, hashToken } = require('../utils/sessions');
+const { issueAuthToken, consumeAuthToken } = require('../utils/authTokens');
+const { sendMail } = require('../mail');
+const { passwordResetMail, emailVerificationMail } = require('../mail/templates');
+
+// mail a fresh verification link. failures are logged, the caller's request still succeeds
+const sendVerificationEmail = async (user) => {
+    try {
+        const { token } = await issueAuthToken(user, 'email_verification');
+        await sendMail(emailVerificationMail(user, token));
+    } catch (err) {
+        console.error('[backend verification mail error]:', err.message);
+    }
+};
+
+// mail a password reset link. failures are only logged, so the response can't tell whether the email is registered
+const sendPasswordResetEmail = async (user) => {
+    try {
+        const { token, expiresInMinutes } = await issueAuthToken(user, 'password_reset');
+        await sendMail(passwordResetMail(user, token, expiresInMinutes));
+    } catch (err) {
+        console.error('[backend password reset mail error]:', err.message);
+    }
+};
 
 // handle user registration
 router.post('/register', async (req, res) => {
@@ -27,35 +52,20 @@ router.post('/register', async (req, res) => {
         const hashedPassword = await bcrypt.hash(password, salt);
 
         // create a new user instance
-        user = new User({
+        const user = new User({
             username,
             email,
-            password: hashedPassword
+            password: hashedPassword,
+            emailVerified: false
         });
 
         // save the user to the database
         await user.save();
+        await sendVerificationEmail(user);
 
-        // create jwt payload
-        const payload = {
-            user: {
-                id: user.id,
-                username: user.username,
-                email: user.email,
-                profilePicture: user.profilePicture
-            }
-        };
-
-        // sign the jwt token
-        jwt.sign(
-            payload,
-            process.env.JWT_SECRET,
-            { expiresIn: '1h' },
-            (err, token) => {
-                if (err) throw err;
-                res.json({ token, message: 'registration successful!' });
-            }
-        );
+        // sign the user straight in on this device
+        const { token, refreshToken, session } = await createSession(user, req);
+        res.json({ token, refreshToken, sessionId: session._id.toString(), message: 'registration successful!' });
 
     } catch (err) {
         console.error('[backend register error]:', err.message);
@@ -85,17 +95,20 @@ router.post('/login', async (req, res) => {
             return res.status(400).json({ message: 'invalid credentials' });
         }
 
-        // generate jwt token
-        const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+        // start a session for this device: short-lived access token plus a refresh token
+        const { token, refreshToken, session } = await createSession(user, req);
 
-        // send token and user info in response
+        // send tokens and user info in response
         res.json({
             token,
+            refreshToken,
+            sessionId: session._id.toString(),
             user: {
                 _id: user._id,
                 username: user.username,
                 email: user.email,
-                profilePicture: user.profilePicture
+                profilePicture: user.profilePicture,
+                emailVerified: user.emailVerified !== false
             }
         });
     } catch (err) {
@@ -104,6 +117,197 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        return res.status(400).json({ message: 'refresh token is required.' });
+    }
+
+    try {
+        const rotated = await rotateSession(refreshToken);
+        if (!rotated) {
+            return res.status(401).json({ message: 'invalid or expired refresh token.' });
+        }
+        res.json({ token: rotated.token, refreshToken: rotated.refreshToken, sessionId: rotated.session._id.toString() });
+    } catch (err) {
+        console.error('[backend refresh error]:', err.message);
+        res.status(500).json({ message: 'server error refreshing token.', error: err.message });
+    }
+});
+
+// end the current session. tokens issued before sessions existed can name it by refresh token
+router.post('/logout', authMiddleware, async (req, res) => {
+    try {
+        let session = null;
+        if (req.sessionId) {
+            session = await Session.findOne({ _id: req.sessionId, user: req.user._id });
+        } else if (req.body?.refreshToken) {
+            session = await Session.findOne({ refreshTokenHash: hashToken(req.body.refreshToken), user: req.user._id });
+        }
+
+        if (session) {
+            await revokeSession(req.io, session);
+        }
+        res.json({ message: 'logged out successfully.' });
+    } catch (err) {
+        console.error('[backend logout error]:', err.message);
+        res.status(500).json({ message: 'server error during logout.', error: err.message });
+    }
+});
+
+// list the devices the user is signed in on
+router.get('/sessions', authMiddleware, async (req, res) => {
+    try {
+        const sessions = await Session.find({ user: req.user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+            .sort({ lastUsedAt: -1 })
+            .lean();
+
+        res.json(sessions.map(session => ({
+            _id: session._id.toString(),
+            deviceName: session.deviceName,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            createdAt: session.createdAt.toISOString(),
+            lastUsedAt: session.lastUsedAt.toISOString(),
+            expiresAt: session.expiresAt.toISOString(),
+            current: session._id.toString() === req.sessionId,
+        })));
+    } catch (err) {
+        console.error('[backend sessions error]:', err.message);
+        res.status(500).json({ message: 'server error listing sessions.', error: err.message });
+    }
+});
+
+// revoke every session except the one making the request
+router.delete('/sessions', authMiddleware, async (req, res) => {
+    try {
+        const sessions = await Session.find({ user: req.user._id, revokedAt: null, _id: { $ne: req.sessionId } });
+        await Promise.all(sessions.map(session => revokeSession(req.io, session)));
+        res.json({ message: 'other sessions revoked.', revokedCount: sessions.length });
+    } catch (err) {
+        console.error('[backend sessions error]:', err.message);
+        res.status(500).json({ message: 'server error revoking sessions.', error: err.message });
+    }
+});
+
+// revoke one device. its sockets are disconnected immediately
+router.delete('/sessions/:sessionId', authMiddleware, async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+        return res.status(400).json({ message: 'invalid session id format.' });
+    }
+
+    try {
+        const session = await Session.findOne({ _id: req.params.sessionId, user: req.user._id });
+        if (!session) {
+            return res.status(404).json({ message: 'session not found.' });
+        }
+
+        await revokeSession(req.io, session);
+        res.json({ message: 'session revoked.' });
+    } catch (err) {
+        console.error('[backend sessions error]:', err.message);
+        res.status(500).json({ message: 'server error revoking session.', error: err.message });
+    }
+});
+
+// start a password reset. the response is the same whether or not the email is registered
+router.post('/forgot-password', async (req, res) => {
+    const { email } = req.body || {};
+    if (!email || typeof email !== 'string') {
+        return res.status(400).json({ message: 'email is required.' });
+    }
+
+    try {
+        const user = await User.findOne({ email: email.trim().toLowerCase() });
+        if (user) {
+            await sendPasswordResetEmail(user);
+        }
+        res.json({ message: 'if that email is registered, a reset link is on its way.' });
+    } catch (err) {
+        console.error('[backend forgot-password error]:', err.message);
+        res.status(500).json({ message: 'server error starting password reset.', error: err.message });
+    }
+});
+
+// finish a password reset with the mailed token. every existing session is signed out
+router.post('/reset-password', async (req, res) => {
+    const { token, password } = req.body || {};
+    if (!token || !password || typeof token !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({ message: 'token and new password are required.' });
+    }
+    if (password.length < 6) {
+        return res.status(400).json({ message: 'password must be at least 6 characters long.' });
+    }
+
+    try {
+        const authToken = await consumeAuthToken(token, 'password_reset');
+        if (!authToken) {
+            return res.status(400).json({ message: 'reset link is invalid or has expired.' });
+        }
+
+        const user = await User.findById(authToken.user);
+        if (!user) {
+            return res.status(400).json({ message: 'reset link is invalid or has expired.' });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        user.password = await bcrypt.hash(password, salt);
+        // the reset link reached this inbox, which proves the address
+        if (user.emailVerified === false && authToken.email === user.email) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
+        await user.save();
+
+        await revokeAllSessions(req.io, user._id);
+
+        res.json({ message: 'password has been reset. please log in again.' });
+    } catch (err) {
+        console.error('[backend reset-password error]:', err.message);
+        res.status(500).json({ message: 'server error resetting password.', error: err.message });
+    }
+});
+
+// confirm an email address with the mailed token
+router.post('/verify-email', async (req, res) => {
+    const { token } = req.body || {};
+    if (!token || typeof token !== 'string') {
+        return res.status(400).json({ message: 'verification token is required.' });
+    }
+
+    try {
+        const authToken = await consumeAuthToken(token, 'email_verification');
+        const user = authToken ? await User.findById(authToken.user) : null;
+        if (!user || authToken.email !== user.email) {
+            return res.status(400).json({ message: 'verification link is invalid or has expired.' });
+        }
+
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save();
+
+        res.json({ message: 'email verified successfully.', email: user.email });
+    } catch (err) {
+        console.error('[backend verify-email error]:', err.message);
+        res.status(500).json({ message: 'server error verifying email.', error: err.message });
+    }
+});
+
+// mail a new verification link to the signed-in user
+router.post('/resend-verification', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.emailVerified !== false) {
+            return res.status(400).json({ message: 'email is already verified.' });
+        }
+        await sendVerificationEmail(req.user);
+        res.json({ message: 'verification email sent.' });
+    } catch (err) {
+        console.error('[backend resend-verification error]:', err.message);
+        res.status(500).json({ message: 'server error sending verification email.', error: err.message });
+    }
+});
+
 // get authenticated user profile
 router.get('/me', authMiddleware, async (req, res) => {
     try {
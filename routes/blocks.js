@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ContactRequest = require('../models/ContactRequest');
+const protect = require('../middleware/auth');
+
+router.get('/', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id)
+            .populate('blockedUsers', 'username profilePicture')
+            .lean();
+
+        res.json({
+            hideBlockedInGroups: user.hideBlockedInGroups || false,
+            blockedUsers: (user.blockedUsers || []).map(blocked => ({
+                _id: blocked._id.toString(),
+                username: blocked.username,
+                profilePicture: blocked.profilePicture || null,
+            })),
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error fetching blocked users.' });
+    }
+});
+
+// per-viewer switch: hide messages from blocked users in shared group chats
+router.put('/settings', protect, async (req, res) => {
+    const { hideBlockedInGroups } = req.body || {};
+    if (typeof hideBlockedInGroups !== 'boolean') {
+        return res.status(400).json({ message: 'hideBlockedInGroups must be true or false.' });
+    }
+
+    try {
+        await User.updateOne({ _id: req.user._id }, { hideBlockedInGroups });
+        res.json({ message: 'Block settings updated.', hideBlockedInGroups });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error updating block settings.' });
+    }
+});
+
+router.post('/', protect, async (req, res) => {
+    const { userId } = req.body || {};
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ message: 'A valid user id is required.' });
+    }
+    if (userId.toString() === req.user._id.toString()) {
+        return res.status(400).json({ message: 'You cannot block yourself.' });
+    }
+
+    try {
+        const target = await User.exists({ _id: userId });
+        if (!target) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        // blocking also ends the contact relationship and any pending requests between the two
+        await Promise.all([
+            User.updateOne({ _id: req.user._id }, { $addToSet: { blockedUsers: userId }, $pull: { contacts: userId } }),
+            User.updateOne({ _id: userId }, { $pull: { contacts: req.user._id } }),
+            ContactRequest.deleteMany({
+                $or: [
+                    { from: req.user._id, to: userId },
+                    { from: userId, to: req.user._id },
+                ]
+            }),
+        ]);
+
+        if (req.io) {
+            // the blocked user just sees the contact disappear and the blocker go offline
+            req.io.to(`user_${userId.toString()}`).emit('contact_removed', { userId: req.user._id.toString() });
+            req.io.to(`user_${userId.toString()}`).emit('presence_changed', {
+                userId: req.user._id.toString(),
+                online: false,
+                lastSeen: null,
+            });
+        }
+
+        res.status(201).json({ message: 'User blocked.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error blocking user.' });
+    }
+});
+
+router.delete('/:userId', protect, async (req, res) => {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ message: 'Invalid user id format.' });
+    }
+
+    try {
+        const result = await User.updateOne({ _id: req.user._id }, { $pull: { blockedUsers: userId } });
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({ message: 'This user is not blocked.' });
+        }
+        res.json({ message: 'User unblocked.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error unblocking user.' });
+    }
+});
+
+module.exports = router;
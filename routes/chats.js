@@ -3,52 +3,114 @@ const router = express.Router();
 const Chat = require('../models/Chat');
 const User = require('../models/User');
 const Message = require('../models/Message');
+const GroupInvite = require('../models/GroupInvite');
+const JoinRequest = require('../models/JoinRequest');
 const authMiddleware = require('../middleware/auth');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
 const mongoose = require('mongoose');
+const { parsePageQuery, fetchMessagePage } = require('../utils/messagePagination');
+const { MESSAGE_POPULATE, formatMessage, toMediaUrl, toMediaInfo } = require('../utils/messageFormatter');
+const { applyReaction } = require('../utils/reactions');
+const { unregisterReply } = require('../utils/replies');
+const { countUnread, markChatRead, findReadState } = require('../utils/readState');
+const { checkPrivateChatBlock, hiddenReceiverRooms, hiddenSendersFor } = require('../utils/blocks');
+const { checkCanSend, formatSendRejection } = require('../utils/sendPermissions');
+const { isAdmin, getOwnerId, isOwner } = require('../utils/chatRoles');
+const { formatGroupSettings, parseSettingsUpdate, describeSettingChange } = require('../utils/groupSettings');
+const { postSystemMessage } = require('../utils/systemMessages');
+const { emitLastMessageUpdate, deliverMessage } = require('../utils/messageDelivery');
+const { loadPins, pinMessage, unpinMessages, formatPin } = require('../utils/pinnedMessages');
+const { messageExpiry, notExpired, isValidTimer, describeTimerChange, DISAPPEARING_TIMERS } = require('../utils/disappearingMessages');
+const { generateInviteCode, formatInvite, claimInviteUse, joinGroup } = require('../utils/invites');
+const createImageUpload = require('../middleware/imageUpload');
+const verifyUpload = require('../middleware/verifyUpload');
+const storeUpload = require('../middleware/storeUpload');
+const { uploadTempDir } = require('../storage');
+const { removeFromChatRoom } = require('../socketHandlers/chatHandler');
+const { maxUploadBytes, allowedExtensions } = require('../config/uploads');
+const { removeUploadedFile, releaseMessageMedia, absoluteUploadUrl } = require('../utils/uploadedFiles');
+const { formatPreferences, compareChats, isMuted, findPreferences, updatePreferences, reorderPins, resurfaceChat } = require('../utils/chatPreferences');
+const crypto = require('crypto');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
+// chat media waits in the upload temp dir until it has been checked and handed to the storage driver
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        const uploadDir = 'uploads/';
+        const uploadDir = uploadTempDir();
         if (!fs.existsSync(uploadDir)) {
             fs.mkdirSync(uploadDir, { recursive: true });
         }
         cb(null, uploadDir);
     },
     filename: (req, file, cb) => {
-        cb(null, file.fieldname + '-' + Date.now() + path.extname(file.originalname));
+        // the name becomes the storage key, which must not collide between server instances sharing a bucket
+        cb(null, `${file.fieldname}-${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`);
     }
 });
 
-const fileFilter = (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|mp4|mov|avi|webm/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
+// what POST /:chatId/messages accepts. the kind, and with it the size limit, is decided from the content
+const MESSAGE_MEDIA_KINDS = ['image', 'video', 'audio', 'file'];
+// upper bound on a voice note duration reported by the client
+const MAX_CLIENT_DURATION_SECONDS = 6 * 60 * 60;
 
-    if (mimetype && extname) {
+// a first pass on the extension only, verifyUpload checks what the file really is
+const fileFilter = (req, file, cb) => {
+    const allowed = allowedExtensions(MESSAGE_MEDIA_KINDS);
+    if (allowed.includes(path.extname(file.originalname).toLowerCase())) {
         return cb(null, true);
-    } else {
-        cb(new Error('only images (jpg, jpeg, png, gif) and videos (mp4, mov, avi, webm) are allowed!'), false);
     }
+    cb(new Error(`only these file types are allowed: ${allowed.join(', ')}`), false);
 };
 
-const upload = multer({
-    storage: storage,
-    fileFilter: fileFilter,
-    limits: {
-        fileSize: 1024 * 1024 * 50
+// built on the first upload so the size limits come from .env
+let upload = null;
+const uploadMedia = (req, res, next) => {
+    if (!upload) {
+        upload = multer({
+            storage: storage,
+            fileFilter: fileFilter,
+            limits: {
+                fileSize: maxUploadBytes(MESSAGE_MEDIA_KINDS)
+            }
+        });
     }
-});
+    upload.single('media')(req, res, next);
+};
+
+const avatarUpload = createImageUpload();
+
+/*
+ * keep a group governable after someone leaves: if no admins are left the longest-standing member is
+ * promoted, and a departed owner is succeeded by the longest-standing admin. returns who was promoted
+ * and who owns the group now (null when unchanged) so the caller can announce it.
+ */
+const ensureGroupLeadership = (chat, previousOwnerId) => {
+    const participantIds = chat.participants.map(p => (p._id || p).toString());
+    let promotedAdminId = null;
 
-const isAdmin = (chat, userId) => {
-    if (!Array.isArray(chat.admins)) {
-        return false;
+    if (chat.admins.length === 0 && participantIds.length > 0) {
+        promotedAdminId = participantIds[0];
+        chat.admins = [promotedAdminId];
     }
-    return chat.admins.some(adminId => adminId && adminId.toString() === userId.toString());
+    if (!chat.owner || !participantIds.includes(chat.owner.toString())) {
+        chat.owner = chat.admins.length ? chat.admins[0] : null;
+    }
+
+    const ownerId = getOwnerId(chat);
+    return { promotedAdminId, newOwnerId: ownerId !== previousOwnerId ? ownerId : null };
 };
 
+// admins can always edit the group profile. members can too when the group allows it
+const canEditGroupInfo = (chat, userId) => isAdmin(chat, userId) || chat.settings?.onlyAdminsCanEditInfo === false;
+
+// admins can always add people. members can too when the group allows it
+const canAddMembers = (chat, userId) => isAdmin(chat, userId) || chat.settings?.membersCanAddMembers === true;
+
+const DELETED_MESSAGE_CONTENT = 'this message was deleted.';
+const MAX_FORWARD_MESSAGES = 20;
+const MAX_FORWARD_TARGETS = 10;
 
 router.get('/', authMiddleware, async (req, res) => {
     if (!req.user || !req.user.id) {
@@ -77,6 +139,8 @@ router.get('/', authMiddleware, async (req, res) => {
             return res.status(500).json({ message: 'server error: chats data is malformed after query.' });
         }
 
+        const unreadCounts = await countUnread(chats, req.user.id);
+
         const formattedChats = chats.map(chat => {
             if (!chat || !chat._id) {
                 return null;
@@ -92,22 +156,15 @@ router.get('/', authMiddleware, async (req, res) => {
                 }
             }
 
-            let unreadCount = 0;
-            if (chat.lastMessage) {
-                if (chat.lastMessage.sender) {
-                    if (chat.lastMessage.sender._id) {
-                        if (chat.lastMessage.sender._id.toString() !== req.user.id.toString()) {
-                            if (Array.isArray(chat.lastMessage.readBy) && !chat.lastMessage.readBy.includes(req.user.id)) {
-                                unreadCount = 1;
-                            }
-                        }
-                    }
-                }
-            }
+            const readState = findReadState(chat, req.user.id);
 
             return {
                 _id: chat._id?.toString(),
                 name: chat.name,
+                description: chat.type === 'group' ? (chat.description || '') : null,
+                avatar: chat.type === 'group' ? (chat.avatar || null) : null,
+                settings: chat.type === 'group' ? formatGroupSettings(chat) : null,
+                disappearingSeconds: chat.disappearingSeconds || 0,
                 type: chat.type,
                 participants: Array.isArray(chat.participants) ? chat.participants.map(p => ({
                     _id: p?._id?.toString(),
@@ -115,6 +172,7 @@ router.get('/', authMiddleware, async (req, res) => {
                     profilePicture: p?.profilePicture || null,
                 })).filter(p => p._id) : [],
                 admins: Array.isArray(chat.admins) ? chat.admins.map(a => a?.toString()).filter(Boolean) : [],
+                owner: chat.type === 'group' ? getOwnerId(chat) : null,
                 createdAt: chat.createdAt?.toISOString(),
                 updatedAt: chat.updatedAt?.toISOString(),
                 recipient: recipient ? {
@@ -130,25 +188,91 @@ router.get('/', authMiddleware, async (req, res) => {
                         profilePicture: chat.lastMessage.sender?.profilePicture || null,
                     } : null,
                     content: chat.lastMessage.content,
-                    mediaUrl: chat.lastMessage.mediaUrl,
+                    mediaUrl: toMediaUrl(chat.lastMessage),
                     mediaType: chat.lastMessage.mediaType,
+                    thumbnailUrl: toMediaInfo(chat.lastMessage)?.thumbnailUrl || null,
+                    mediaInfo: toMediaInfo(chat.lastMessage),
+                    editedAt: chat.lastMessage.editedAt ? chat.lastMessage.editedAt.toISOString() : null,
+                    isDeleted: chat.lastMessage.isDeleted || false,
                     readBy: Array.isArray(chat.lastMessage.readBy) ? chat.lastMessage.readBy.map(id => id?.toString()).filter(Boolean) : [],
                     createdAt: chat.lastMessage.createdAt?.toISOString(),
                     updatedAt: chat.lastMessage.updatedAt?.toISOString(),
                 } : null,
-                unreadCount: unreadCount,
+                unreadCount: unreadCounts.get(chat._id.toString()) || 0,
+                lastReadMessage: readState?.lastReadMessage?.toString() || null,
+                lastReadAt: readState?.lastReadAt?.toISOString() || null,
+                ...formatPreferences(chat, req.user.id),
             };
         }).filter(Boolean);
 
-        res.json(formattedChats);
+        // hidden chats stay out of the list unless asked for. ?archived=true|false narrows to one side
+        const includeHidden = req.query.includeHidden === 'true';
+        const visibleChats = formattedChats
+            .filter(chat => includeHidden || !chat.hidden)
+            .filter(chat => req.query.archived === undefined || chat.archived === (req.query.archived === 'true'))
+            .sort(compareChats);
+
+        res.json(visibleChats);
     } catch (err) {
         res.status(500).json({ message: 'server error fetching chats.', error: err.message, stack: process.env.NODE_ENV === 'development' ? err.stack : undefined });
     }
 });
 
 
-router.post('/', authMiddleware, async (req, res) => {
-    const { participants, type, name } = req.body;
+router.get('/unread-count', authMiddleware, async (req, res) => {
+    try {
+        const chats = await Chat.find({ participants: req.user.id }).select('_id readStates preferences').lean();
+        const unreadCounts = await countUnread(chats, req.user.id);
+
+        // muted chats keep their own count but don't add to the badge
+        const now = new Date();
+        const mutedChatIds = new Set(chats
+            .filter(chat => isMuted(findPreferences(chat, req.user.id), now))
+            .map(chat => chat._id.toString()));
+
+        let total = 0;
+        const perChat = {};
+        unreadCounts.forEach((count, chatId) => {
+            if (!mutedChatIds.has(chatId)) {
+                total += count;
+            }
+            perChat[chatId] = count;
+        });
+
+        res.status(200).json({ total, chats: perChat });
+    } catch (err) {
+        res.status(500).json({ message: 'server error counting unread messages.', error: err.message });
+    }
+});
+
+
+// set the order of the user's pinned chats: { chatIds: [...] }, first pin first
+router.put('/pinned-order', authMiddleware, async (req, res) => {
+    const { chatIds } = req.body || {};
+
+    if (!Array.isArray(chatIds) || !chatIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ message: 'chatIds must be an array of chat ids.' });
+    }
+
+    try {
+        const result = await reorderPins(req.user._id, chatIds);
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+
+        if (req.io) {
+            req.io.to(`user_${req.user.id.toString()}`).emit('pinnedChatsReordered', result);
+        }
+
+        res.status(200).json(result);
+    } catch (err) {
+        res.status(500).json({ message: 'server error reordering pinned chats.', error: err.message });
+    }
+});
+
+
+router.post('/', authMiddleware, requireVerifiedEmail, async (req, res) => {
+    const { participants, type, name, description } = req.body;
 
     if (!participants || !Array.isArray(participants) || participants.length < 1) {
         return res.status(400).json({ message: 'participants array is required.' });
@@ -189,9 +313,15 @@ router.post('/', authMiddleware, async (req, res) => {
             }
 
             chat = new Chat({ participants, type });
+
+            // a blocked user can't open a private chat with the person who blocked them, nor the other way round
+            const blocked = await checkPrivateChatBlock(chat, req.user);
+            if (blocked) {
+                return res.status(blocked.status).json({ message: blocked.error, code: blocked.code });
+            }
         } else {
             const admins = [req.user.id];
-            chat = new Chat({ participants, type, name, admins });
+            chat = new Chat({ participants, type, name, description, admins, owner: req.user.id });
         }
 
         const savedChat = await chat.save();
@@ -202,6 +332,8 @@ router.post('/', authMiddleware, async (req, res) => {
                 req.io.to(`user_${participant._id.toString()}`).emit('chatCreated', {
                     _id: savedChat._id.toString(),
                     name: savedChat.name,
+                    description: savedChat.description || '',
+                    avatar: savedChat.avatar || null,
                     type: savedChat.type,
                     participants: savedChat.participants.map(p => ({
                         _id: p._id.toString(),
@@ -209,6 +341,7 @@ router.post('/', authMiddleware, async (req, res) => {
                         profilePicture: p.profilePicture
                     })),
                     admins: savedChat.admins.map(id => id.toString()),
+                    owner: savedChat.owner ? savedChat.owner.toString() : null,
                     createdAt: savedChat.createdAt.toISOString(),
                     updatedAt: savedChat.updatedAt.toISOString(),
                     lastMessage: null,
@@ -240,33 +373,65 @@ router.get('/:chatId/messages', authMiddleware, async (req, res) => {
             return res.status(403).json({ message: 'not authorized to view messages in this chat' });
         }
 
-        const messages = await Message.find({ chat: req.params.chatId })
-            .populate('sender', 'username profilePicture')
-            .sort({ createdAt: 1 });
+        const pageQuery = parsePageQuery(req.query);
+        if (pageQuery.error) {
+            return res.status(400).json({ message: pageQuery.error });
+        }
+
+        const page = await fetchMessagePage(chat._id, { ...pageQuery, excludeSenders: hiddenSendersFor(req.user, chat) });
+        if (!page) {
+            return res.status(404).json({ message: 'cursor message not found in this chat.' });
+        }
 
-        res.status(200).json(messages);
+        res.status(200).json(page);
     } catch (err) {
         res.status(500).json({ message: 'server error fetching messages.', error: err.message });
     }
 });
 
 
-router.post('/:chatId/messages', authMiddleware, upload.single('media'), async (req, res) => {
-    const { content } = req.body;
+// the chat and the caller's membership are checked before an attachment is accepted, so nothing gets stored
+// for a request that could never post
+const requireChatParticipant = async (req, res, next) => {
+    const { chatId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        return res.status(400).json({ message: 'invalid chat id format' });
+    }
+
+    try {
+        const isParticipant = await Chat.exists({ _id: chatId, participants: req.user._id });
+        if (!isParticipant) {
+            const chatExists = await Chat.exists({ _id: chatId });
+            return chatExists
+                ? res.status(403).json({ message: 'not authorized to send messages to this chat', code: 'NOT_A_PARTICIPANT' })
+                : res.status(404).json({ message: 'chat not found' });
+        }
+        next();
+    } catch (err) {
+        res.status(500).json({ message: 'server error sending message.', error: err.message });
+    }
+};
+
+router.post('/:chatId/messages', authMiddleware, requireChatParticipant, uploadMedia, verifyUpload(MESSAGE_MEDIA_KINDS, { thumbnails: true }), storeUpload('chat_media'), async (req, res) => {
+    const { content, replyTo } = req.body;
     const chatId = req.params.chatId;
-    const senderId = req.user.id;
     const file = req.file;
 
     let mediaUrl = null;
     let mediaType = null;
+    let mediaInfo = null;
 
     if (file) {
-        mediaUrl = `/uploads/${file.filename}`;
-
-        if (file.mimetype.startsWith('image/')) {
-            mediaType = file.mimetype.includes('gif') ? 'gif' : 'image';
-        } else if (file.mimetype.startsWith('video/')) {
-            mediaType = 'video';
+        // verifyUpload has already checked the content, so the type comes from that and not the client
+        const { mediaType: detectedType, ...info } = file.media;
+        mediaUrl = file.url;
+        mediaType = detectedType;
+        mediaInfo = info;
+
+        // browsers record voice notes without a duration in the file, so the client may send the one it measured
+        const clientDuration = Number(req.body.duration);
+        if (mediaType === 'audio' && mediaInfo.duration === undefined && clientDuration > 0 && clientDuration <= MAX_CLIENT_DURATION_SECONDS) {
+            mediaInfo.duration = Math.round(clientDuration * 1000) / 1000;
         }
     }
 
@@ -274,372 +439,1269 @@ router.post('/:chatId/messages', authMiddleware, upload.single('media'), async (
         return res.status(400).json({ message: 'message must have either content or an attachment.' });
     }
 
-    if (!mongoose.Types.ObjectId.isValid(chatId)) {
-        return res.status(400).json({ message: 'invalid chat id format' });
-    }
-
     try {
         const chat = await Chat.findById(chatId);
 
         if (!chat) {
+            removeUploadedFile(mediaUrl);
+            removeUploadedFile(mediaInfo?.thumbnailUrl);
             return res.status(404).json({ message: 'chat not found' });
         }
 
-        if (!chat.participants.map(p => p.toString()).includes(senderId.toString())) {
-            return res.status(403).json({ message: 'not authorized to send messages to this chat' });
+        const result = await deliverMessage(req.io, chat, req.user, { content, mediaUrl, mediaType, mediaInfo, replyTo });
+        if (result.error) {
+            removeUploadedFile(mediaUrl);
+            removeUploadedFile(mediaInfo?.thumbnailUrl);
+            return res.status(result.status).json(formatSendRejection(result));
         }
 
-        const newMessage = new Message({
-            chat: chatId,
-            sender: senderId,
-            content,
-            mediaUrl,
-            mediaType
-        });
+        res.status(201).json(result.messageData);
+    } catch (err) {
+        // the message may have been saved before the error, so only drop the upload if nothing uses it
+        if (mediaUrl) {
+            await releaseMessageMedia({ mediaUrl, mediaInfo }).catch(() => {});
+        }
+        res.status(500).json({ message: 'server error sending message.', error: err.message });
+    }
+});
 
-        const savedMessage = await newMessage.save();
 
-        chat.lastMessage = savedMessage._id;
-        chat.updatedAt = Date.now();
-        await chat.save();
+// forward messages from this chat to other chats: { messageIds: [...], targetChatIds: [...] }
+// media is reused by url. each target is checked like a normal send and reported in forwarded or failed
+router.post('/:chatId/messages/forward', authMiddleware, async (req, res) => {
+    const { chatId } = req.params;
+    const { messageIds, targetChatIds } = req.body || {};
 
-        await savedMessage.populate('sender', 'username profilePicture');
+    if (!Array.isArray(messageIds) || messageIds.length === 0 || !Array.isArray(targetChatIds) || targetChatIds.length === 0) {
+        return res.status(400).json({ message: 'messageIds and targetChatIds arrays are required.' });
+    }
+    if (messageIds.length > MAX_FORWARD_MESSAGES) {
+        return res.status(400).json({ message: `at most ${MAX_FORWARD_MESSAGES} messages can be forwarded at once.` });
+    }
+    if (targetChatIds.length > MAX_FORWARD_TARGETS) {
+        return res.status(400).json({ message: `messages can be forwarded to at most ${MAX_FORWARD_TARGETS} chats at once.` });
+    }
+    if (![chatId, ...messageIds, ...targetChatIds].every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ message: 'invalid id format.' });
+    }
 
-        const messageData = {
-            _id: savedMessage._id.toString(),
-            chat: savedMessage.chat.toString(),
-            sender: {
-                _id: savedMessage.sender._id.toString(),
-                username: savedMessage.sender.username,
-                profilePicture: savedMessage.sender.profilePicture || null,
-            },
-            content: savedMessage.content,
-            mediaUrl: savedMessage.mediaUrl,
-            mediaType: savedMessage.mediaType,
-            readBy: savedMessage.readBy ? savedMessage.readBy.map(id => id.toString()) : [],
-            createdAt: savedMessage.createdAt.toISOString(),
-            updatedAt: savedMessage.updatedAt.toISOString(),
-        };
+    const userId = req.user.id.toString();
+    const isParticipant = (chat) => chat.participants.some(p => p.toString() === userId);
 
-        if (req.io) {
-            req.io.to(chatId.toString()).emit('receive_message', messageData);
+    try {
+        const sourceChat = await Chat.findById(chatId);
+        if (!sourceChat) {
+            return res.status(404).json({ message: 'chat not found.' });
         }
-
-        if (req.io) {
-            chat.participants.forEach(participantId => {
-                req.io.to(`user_${participantId.toString()}`).emit('chatUpdated', {
-                    _id: chat._id.toString(),
-                    name: chat.name,
-                    type: chat.type,
-                    participants: chat.participants,
-                    admins: chat.admins,
-                    lastMessage: {
-                        sender: {
-                            _id: messageData.sender._id,
-                            username: messageData.sender.username,
-                            profilePicture: messageData.sender.profilePicture
-                        },
-                        content: messageData.content,
-                        mediaUrl: messageData.mediaUrl,
-                        mediaType: messageData.mediaType,
-                        timestamp: messageData.createdAt
-                    },
-                    updatedAt: chat.updatedAt.toISOString(),
-                });
-            });
+        if (!isParticipant(sourceChat)) {
+            return res.status(403).json({ message: 'not authorized to view messages in this chat.' });
         }
 
-        res.status(201).json(messageData);
-    } catch (err) {
-        res.status(500).json({ message: 'server error sending message.', error: err.message });
-    }
-});
+        const uniqueTargetIds = [...new Set(targetChatIds.map(id => id.toString()))];
+        const targets = await Chat.find({ _id: { $in: uniqueTargetIds } });
+        if (targets.length !== uniqueTargetIds.length) {
+            return res.status(404).json({ message: 'one or more target chats were not found.' });
+        }
+        if (!targets.every(isParticipant)) {
+            return res.status(403).json({ message: 'you can only forward to chats you are a member of.' });
+        }
 
+        const originals = await Message.find({
+            _id: { $in: messageIds },
+            chat: chatId,
+            isDeleted: { $ne: true },
+            isSystemMessage: { $ne: true },
+            ...notExpired(),
+        })
+            .sort({ createdAt: 1 })
+            .populate('sender', 'hideNameOnForward');
+        if (originals.length !== new Set(messageIds.map(id => id.toString())).size) {
+            return res.status(404).json({ message: 'one or more messages were not found or can not be forwarded.' });
+        }
 
-router.post('/:chatId/markAsRead', authMiddleware, async (req, res) => {
-    try {
-        const chatId = req.params.chatId;
-        const userId = req.user.id;
+        // forwarding a forward keeps pointing at whoever wrote it first
+        const forwardedFromFor = (original) => {
+            if (original.forwardedFrom) {
+                return { sender: original.forwardedFrom.sender, anonymous: original.forwardedFrom.anonymous };
+            }
+            const anonymous = !original.sender || original.sender.hideNameOnForward === true;
+            return { sender: anonymous ? null : original.sender._id, anonymous };
+        };
 
-        if (!mongoose.Types.ObjectId.isValid(chatId)) {
-            return res.status(400).json({ message: 'invalid chat id format' });
-        }
+        const forwarded = [];
+        const failed = [];
 
-        const chat = await Chat.findById(chatId);
-        if (!chat) {
-            return res.status(404).json({ message: 'chat not found' });
-        }
+        for (const target of targets) {
+            const rejection = await checkCanSend(target, req.user);
+            if (rejection) {
+                failed.push({ chatId: target._id.toString(), status: rejection.status, ...formatSendRejection(rejection) });
+                continue;
+            }
 
-        if (!chat.participants.includes(userId)) {
-            return res.status(403).json({ message: 'not authorized to mark messages in this chat' });
-        }
+            const copies = await Message.insertMany(originals.map(original => ({
+                chat: target._id,
+                sender: req.user.id,
+                content: original.content,
+                mediaUrl: original.mediaUrl,
+                mediaType: original.mediaType,
+                mediaInfo: original.mediaInfo,
+                forwardedFrom: forwardedFromFor(original),
+                expiresAt: messageExpiry(target),
+            })));
+
+            await resurfaceChat(target._id);
+            target.lastMessage = copies[copies.length - 1]._id;
+            target.updatedAt = Date.now();
+            await target.save();
+
+            const populated = await Message.find({ _id: { $in: copies.map(copy => copy._id) } })
+                .sort({ createdAt: 1, _id: 1 })
+                .populate(MESSAGE_POPULATE);
+            const messagesData = populated.map(formatMessage);
 
-        const result = await Message.updateMany(
-            {
-                chat: chatId,
-                sender: { $ne: userId },
-                readBy: { $ne: userId }
-            },
-            {
-                $addToSet: { readBy: userId }
-            },
-        );
+            if (req.io) {
+                const hiddenRooms = await hiddenReceiverRooms(target, req.user.id);
+                messagesData.forEach(messageData => {
+                    req.io.to(target._id.toString()).except(hiddenRooms).emit('receive_message', messageData);
+                });
+                emitLastMessageUpdate(req.io, target, messagesData[messagesData.length - 1]);
+            }
 
-        if (req.io) {
-            req.io.to(`user_${userId.toString()}`).emit('chatRead', { chatId: chatId.toString() });
+            forwarded.push({ chatId: target._id.toString(), messages: messagesData });
         }
 
-        res.status(200).json({ message: 'messages marked as read successfully', updatedCount: result.modifiedCount });
-
+        // only an error status when nothing went through
+        res.status(forwarded.length > 0 ? 201 : failed[0].status).json({ forwarded, failed });
     } catch (err) {
-        res.status(500).json({ message: 'server error marking messages as read.', error: err.message });
+        res.status(500).json({ message: 'server error forwarding messages.', error: err.message });
     }
 });
 
 
-router.get('/:chatId/members', authMiddleware, async (req, res) => {
-    try {
-        if (!mongoose.Types.ObjectId.isValid(req.params.chatId)) {
-            return res.status(400).json({ message: 'invalid chat id format.' });
-        }
+router.get('/:chatId/messages/:messageId/thread', authMiddleware, async (req, res) => {
+    const { chatId, messageId } = req.params;
 
-        const chat = await Chat.findById(req.params.chatId)
-            .populate('participants', 'username profilePicture');
+    if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+        return res.status(400).json({ message: 'invalid id format.' });
+    }
 
+    try {
+        const chat = await Chat.findById(chatId);
         if (!chat) {
-            return res.status(404).json({ message: 'chat not found' });
+            return res.status(404).json({ message: 'chat not found.' });
         }
-
-        if (chat.type !== 'group') {
-            return res.status(400).json({ message: 'this endpoint is only for group chats.' });
+        if (!chat.participants.some(p => p.toString() === req.user.id.toString())) {
+            return res.status(403).json({ message: 'not authorized to view messages in this chat.' });
         }
 
-        if (!chat.participants.some(p => p._id.toString() === req.user.id.toString())) {
-            return res.status(403).json({ message: 'not authorized to view members of this chat.' });
+        const parent = await Message.findOne({ _id: messageId, chat: chatId, ...notExpired() })
+            .populate(MESSAGE_POPULATE)
+            .lean();
+        if (!parent) {
+            return res.status(404).json({ message: 'message not found.' });
         }
 
-        const membersWithAdminStatus = chat.participants.map(p => ({
-            _id: p._id.toString(),
-            username: p.username,
-            profilePicture: p.profilePicture,
-            isAdmin: chat.admins.some(adminId => adminId && adminId.toString() === p._id.toString())
-        }));
+        const replies = await Message.find({ chat: chatId, replyTo: messageId, ...notExpired() })
+            .sort({ createdAt: 1 })
+            .populate(MESSAGE_POPULATE)
+            .lean();
 
-        res.status(200).json(membersWithAdminStatus);
+        res.status(200).json({
+            parent: formatMessage(parent),
+            replies: replies.map(formatMessage),
+            replyCount: replies.length,
+        });
     } catch (err) {
-        res.status(500).json({ message: 'server error fetching group members.', error: err.message });
+        res.status(500).json({ message: 'server error fetching thread.', error: err.message });
     }
 });
 
-router.post('/:chatId/members', authMiddleware, async (req, res) => {
-    const { new_member_ids } = req.body;
-    const chatId = req.params.chatId;
 
-    if (!new_member_ids || !Array.isArray(new_member_ids) || new_member_ids.length === 0) {
-        return res.status(400).json({ message: 'new member ids array is required.' });
-    }
-    if (!mongoose.Types.ObjectId.isValid(chatId)) {
-        return res.status(400).json({ message: 'invalid chat id format.' });
+router.put('/:chatId/messages/:messageId', authMiddleware, async (req, res) => {
+    const { chatId, messageId } = req.params;
+    const { content } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+        return res.status(400).json({ message: 'invalid id format.' });
     }
-    if (!new_member_ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
-        return res.status(400).json({ message: 'invalid new member id format.' });
+    if (typeof content !== 'string' || content.trim() === '') {
+        return res.status(400).json({ message: 'edited message content cannot be empty.' });
     }
 
     try {
         const chat = await Chat.findById(chatId);
-
         if (!chat) {
             return res.status(404).json({ message: 'chat not found.' });
         }
-        if (chat.type !== 'group') {
-            return res.status(400).json({ message: 'members can only be added to group chats.' });
-        }
-        if (!isAdmin(chat, req.user.id)) {
-            return res.status(403).json({ message: 'only chat admins can add members.' });
+        if (!chat.participants.some(p => p.toString() === req.user.id.toString())) {
+            return res.status(403).json({ message: 'not authorized to edit messages in this chat.' });
         }
 
-        const currentParticipantIds = new Set(chat.participants.map(id => id.toString()));
-        const uniqueNewMemberIds = new_member_ids.filter(id => !currentParticipantIds.has(id.toString()));
+        const message = await Message.findOne({ _id: messageId, chat: chatId });
+        if (!message) {
+            return res.status(404).json({ message: 'message not found.' });
+        }
+        if (message.isSystemMessage || message.isDeleted) {
+            return res.status(400).json({ message: 'this message can no longer be edited.' });
+        }
+        if (message.sender.toString() !== req.user.id.toString()) {
+            return res.status(403).json({ message: 'you can only edit your own messages.' });
+        }
 
-        if (uniqueNewMemberIds.length === 0) {
-            return res.status(200).json({ message: 'all provided users are already members.', chat });
+        const newContent = content.trim();
+        if (newContent === message.content) {
+            await message.populate(MESSAGE_POPULATE);
+            return res.status(200).json(formatMessage(message));
         }
 
-        chat.participants.push(...uniqueNewMemberIds);
-        chat.updatedAt = Date.now();
-        await chat.save();
+        const editedAt = new Date();
+        message.editHistory.push({ content: message.content, replacedAt: editedAt });
+        message.content = newContent;
+        message.editedAt = editedAt;
+        await message.save();
+        await message.populate(MESSAGE_POPULATE);
 
-        await chat.populate('participants', 'username profilePicture');
+        const messageData = formatMessage(message);
 
         if (req.io) {
-            const addedUsers = await User.find({ _id: { $in: uniqueNewMemberIds } });
-            const messageContent = `${req.user.username} added ${addedUsers.map(u => u.username).join(', ')} to the group.`;
-
-            const systemMessage = new Message({
-                chat: chatId,
-                sender: req.user.id,
-                content: messageContent,
-                isSystemMessage: true,
-            });
-            await systemMessage.save();
-            await systemMessage.populate('sender', 'username profilePicture');
-
-            const systemMessageData = {
-                _id: systemMessage._id.toString(),
-                chat: systemMessage.chat.toString(),
-                sender: {
-                    _id: systemMessage.sender._id.toString(),
-                    username: systemMessage.sender.username,
-                    profilePicture: systemMessage.sender.profilePicture || null,
-                },
-                content: systemMessage.content,
-                isSystemMessage: true,
-                createdAt: systemMessage.createdAt.toISOString(),
-                updatedAt: systemMessage.updatedAt.toISOString(),
-            };
-
-            req.io.to(chatId.toString()).emit('receive_message', systemMessageData);
+            req.io.to(chatId.toString()).emit('message_edited', messageData);
 
-            chat.participants.forEach(participant => {
-                req.io.to(`user_${participant._id.toString()}`).emit('chatUpdated', {
-                    _id: chat._id.toString(),
-                    name: chat.name,
-                    type: chat.type,
-                    participants: chat.participants.map(p => ({
-                        _id: p._id.toString(),
-                        username: p.username,
-                        profilePicture: p.profilePicture
-                    })),
-                    admins: chat.admins.map(id => id.toString()),
-                    lastMessage: {
-                        sender: { _id: systemMessage.sender._id.toString(), username: systemMessage.sender.username, profilePicture: systemMessage.sender.profilePicture },
-                        content: systemMessage.content,
-                        timestamp: systemMessage.createdAt.toISOString()
-                    },
-                    updatedAt: chat.updatedAt.toISOString(),
-                });
-            });
+            if (chat.lastMessage && chat.lastMessage.toString() === message._id.toString()) {
+                emitLastMessageUpdate(req.io, chat, messageData);
+            }
         }
 
-        res.status(200).json({ message: 'members added successfully.', chat });
+        res.status(200).json(messageData);
     } catch (err) {
-        res.status(500).json({ message: 'server error adding members.', error: err.message });
+        res.status(500).json({ message: 'server error editing message.', error: err.message });
     }
 });
 
-router.delete('/:chatId/members/:memberIdToRemove', authMiddleware, async (req, res) => {
-    const { chatId, memberIdToRemove } = req.params;
 
-    if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(memberIdToRemove)) {
+router.delete('/:chatId/messages/:messageId', authMiddleware, async (req, res) => {
+    const { chatId, messageId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(messageId)) {
         return res.status(400).json({ message: 'invalid id format.' });
     }
 
     try {
         const chat = await Chat.findById(chatId);
-
         if (!chat) {
             return res.status(404).json({ message: 'chat not found.' });
         }
-        if (chat.type !== 'group') {
-            return res.status(400).json({ message: 'members can only be removed from group chats.' });
-        }
-        if (!isAdmin(chat, req.user.id)) {
-            return res.status(403).json({ message: 'only chat admins can remove members.' });
+        if (!chat.participants.some(p => p.toString() === req.user.id.toString())) {
+            return res.status(403).json({ message: 'not authorized to delete messages in this chat.' });
         }
 
-        if (isAdmin(chat, memberIdToRemove) && chat.admins.length === 1 && chat.admins[0].toString() === memberIdToRemove.toString()) {
-            return res.status(403).json({ message: 'cannot remove the last admin from the group. transfer admin rights first or delete the chat.' });
+        const message = await Message.findOne({ _id: messageId, chat: chatId });
+        if (!message) {
+            return res.status(404).json({ message: 'message not found.' });
+        }
+        if (message.isDeleted) {
+            return res.status(200).json({ message: 'message already deleted.' });
         }
 
-        const initialParticipantsCount = chat.participants.length;
-        chat.participants = chat.participants.filter(id => id.toString() !== memberIdToRemove.toString());
-        chat.admins = chat.admins.filter(id => id.toString() !== memberIdToRemove.toString());
+        const isSender = message.sender.toString() === req.user.id.toString();
+        const isGroupAdmin = chat.type === 'group' && isAdmin(chat, req.user.id);
+        if (!isSender && !isGroupAdmin) {
+            return res.status(403).json({ message: 'only the sender or a group admin can delete this message.' });
+        }
+        if (message.isSystemMessage && !isGroupAdmin) {
+            return res.status(403).json({ message: 'only group admins can delete system messages.' });
+        }
 
-        if (chat.participants.length === initialParticipantsCount) {
-            return res.status(404).json({ message: 'member not found in this chat.' });
+        const removedMedia = { mediaUrl: message.mediaUrl, mediaInfo: message.mediaInfo?.toObject() };
+
+        // keep the document as a tombstone, but drop everything the sender wrote
+        message.content = DELETED_MESSAGE_CONTENT;
+        message.mediaUrl = null;
+        message.mediaType = null;
+        message.mediaInfo = null;
+        message.editHistory = [];
+        message.isDeleted = true;
+        message.deletedAt = new Date();
+        await message.save();
+
+        // a tombstone no longer counts as a reply in its thread, the same as an expired reply
+        if (message.replyTo) {
+            await unregisterReply(message.replyTo);
         }
+        await message.populate(MESSAGE_POPULATE);
 
-        chat.updatedAt = Date.now();
-        await chat.save();
+        await releaseMessageMedia(removedMedia);
+        await unpinMessages(req.io, chatId, [message._id]);
 
-        await chat.populate('participants', 'username profilePicture');
+        const messageData = formatMessage(message);
 
         if (req.io) {
-            const removedUser = await User.findById(memberIdToRemove);
-            const messageContent = `${req.user.username} removed ${removedUser ? removedUser.username : 'a user'} from the group.`;
+            req.io.to(chatId.toString()).emit('message_deleted', messageData);
 
-            const systemMessage = new Message({
-                chat: chatId,
-                sender: req.user.id,
-                content: messageContent,
-                isSystemMessage: true,
-            });
-            await systemMessage.save();
-            await systemMessage.populate('sender', 'username profilePicture');
-
-            const systemMessageData = {
-                _id: systemMessage._id.toString(),
-                chat: systemMessage.chat.toString(),
-                sender: {
-                    _id: systemMessage.sender._id.toString(),
-                    username: systemMessage.sender.username,
-                    profilePicture: systemMessage.sender.profilePicture || null,
-                },
-                content: systemMessage.content,
-                isSystemMessage: true,
-                createdAt: systemMessage.createdAt.toISOString(),
-                updatedAt: systemMessage.updatedAt.toISOString(),
-            };
+            if (chat.lastMessage && chat.lastMessage.toString() === message._id.toString()) {
+                emitLastMessageUpdate(req.io, chat, messageData);
+            }
+        }
 
-            req.io.to(chatId.toString()).emit('receive_message', systemMessageData);
+        res.status(200).json({ message: 'message deleted successfully.', deletedMessage: messageData });
+    } catch (err) {
+        res.status(500).json({ message: 'server error deleting message.', error: err.message });
+    }
+});
 
-            chat.participants.forEach(participant => {
-                req.io.to(`user_${participant._id.toString()}`).emit('chatUpdated', {
-                    _id: chat._id.toString(),
-                    name: chat.name,
-                    type: chat.type,
-                    participants: chat.participants.map(p => ({
-                        _id: p._id.toString(),
-                        username: p.username,
-                        profilePicture: p.profilePicture
-                    })),
-                    admins: chat.admins.map(id => id.toString()),
-                    lastMessage: {
-                        sender: { _id: systemMessage.sender._id.toString(), username: systemMessage.sender.username, profilePicture: systemMessage.sender.profilePicture },
-                        content: systemMessage.content,
-                        timestamp: systemMessage.createdAt.toISOString()
-                    },
-                    updatedAt: chat.updatedAt.toISOString(),
-                });
-            });
 
-            req.io.to(`user_${memberIdToRemove}`).emit('chatRemoved', { chatId: chatId.toString() });
+// shared by the add and remove reaction routes
+const handleReaction = (action) => async (req, res) => {
+    const emoji = action === 'add' ? req.body.emoji : req.params.emoji;
+
+    try {
+        const result = await applyReaction({
+            chatId: req.params.chatId,
+            messageId: req.params.messageId,
+            userId: req.user.id,
+            emoji,
+            action,
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
         }
 
-        res.status(200).json({ message: 'member removed successfully.', chat });
+        if (req.io) {
+            req.io.to(result.chatId).emit('reaction_updated', result);
+        }
+
+        res.status(200).json(result);
     } catch (err) {
-        res.status(500).json({ message: 'server error removing member.', error: err.message });
+        res.status(500).json({ message: 'server error updating reaction.', error: err.message });
     }
-});
+};
 
-router.delete('/:chatId', authMiddleware, async (req, res) => {
-    const { chatId } = req.params;
-    const userId = req.user.id;
+router.post('/:chatId/messages/:messageId/reactions', authMiddleware, handleReaction('add'));
+router.delete('/:chatId/messages/:messageId/reactions/:emoji', authMiddleware, handleReaction('remove'));
 
-    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+
+router.get('/:chatId/pins', authMiddleware, async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.chatId)) {
         return res.status(400).json({ message: 'invalid chat id format.' });
     }
 
     try {
-        const chat = await Chat.findById(chatId);
-
+        const chat = await Chat.findById(req.params.chatId).select('participants pinnedMessages');
         if (!chat) {
             return res.status(404).json({ message: 'chat not found.' });
         }
-
+        if (!chat.participants.some(p => p.toString() === req.user.id.toString())) {
+            return res.status(403).json({ message: 'not authorized to view this chat.' });
+        }
+
+        res.status(200).json({ pins: await loadPins(chat) });
+    } catch (err) {
+        res.status(500).json({ message: 'server error fetching pinned messages.', error: err.message });
+    }
+});
+
+
+// load a chat and message the caller may pin or unpin. anyone in a private chat can, only admins in a group.
+// sends the error response itself and resolves to null when the request can't go ahead
+const loadPinTarget = async (req, res) => {
+    const { chatId, messageId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+        res.status(400).json({ message: 'invalid id format.' });
+        return null;
+    }
+
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+        res.status(404).json({ message: 'chat not found.' });
+        return null;
+    }
+    if (!chat.participants.some(p => p.toString() === req.user.id.toString())) {
+        res.status(403).json({ message: 'not authorized to pin messages in this chat.' });
+        return null;
+    }
+    if (chat.type === 'group' && !isAdmin(chat, req.user.id)) {
+        res.status(403).json({ message: 'only chat admins can pin messages in a group.', code: 'ADMIN_ONLY_PINS' });
+        return null;
+    }
+
+    const message = await Message.findOne({ _id: messageId, chat: chatId }).populate(MESSAGE_POPULATE);
+    if (!message) {
+        res.status(404).json({ message: 'message not found.' });
+        return null;
+    }
+    return { chat, message };
+};
+
+router.post('/:chatId/messages/:messageId/pin', authMiddleware, async (req, res) => {
+    try {
+        const target = await loadPinTarget(req, res);
+        if (!target) {
+            return;
+        }
+        const { chat, message } = target;
+
+        if (message.isSystemMessage || message.isDeleted) {
+            return res.status(400).json({ message: 'this message can not be pinned.' });
+        }
+
+        const result = await pinMessage(chat._id, message._id, req.user.id);
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error, code: result.code });
+        }
+
+        const pinData = formatPin(result.pin, message);
+
+        if (req.io) {
+            req.io.to(chat._id.toString()).emit('message_pinned', { chatId: chat._id.toString(), ...pinData });
+        }
+        await postSystemMessage(req.io, chat, req.user.id, `${req.user.username} pinned a message.`);
+
+        res.status(201).json(pinData);
+    } catch (err) {
+        res.status(500).json({ message: 'server error pinning message.', error: err.message });
+    }
+});
+
+router.delete('/:chatId/messages/:messageId/pin', authMiddleware, async (req, res) => {
+    try {
+        const target = await loadPinTarget(req, res);
+        if (!target) {
+            return;
+        }
+
+        const unpinned = await unpinMessages(req.io, target.chat._id, [target.message._id]);
+        if (unpinned.length === 0) {
+            return res.status(404).json({ message: 'this message is not pinned.' });
+        }
+
+        res.status(200).json({ message: 'message unpinned.' });
+    } catch (err) {
+        res.status(500).json({ message: 'server error unpinning message.', error: err.message });
+    }
+});
+
+
+router.post('/:chatId/markAsRead', authMiddleware, async (req, res) => {
+    try {
+        const chatId = req.params.chatId;
+        const userId = req.user.id;
+        const { messageId } = req.body || {};
+
+        if (!mongoose.Types.ObjectId.isValid(chatId)) {
+            return res.status(400).json({ message: 'invalid chat id format' });
+        }
+        if (messageId && !mongoose.Types.ObjectId.isValid(messageId)) {
+            return res.status(400).json({ message: 'invalid message id format' });
+        }
+
+        const chat = await Chat.findById(chatId);
+        if (!chat) {
+            return res.status(404).json({ message: 'chat not found' });
+        }
+
+        if (!chat.participants.includes(userId)) {
+            return res.status(403).json({ message: 'not authorized to mark messages in this chat' });
+        }
+
+        // only the user's read cursor moves. message documents are left untouched
+        const readState = await markChatRead(chat._id, userId, messageId);
+        if (!readState && messageId) {
+            return res.status(404).json({ message: 'message not found in this chat' });
+        }
+
+        const cursor = {
+            chatId: chatId.toString(),
+            userId: userId.toString(),
+            lastReadMessage: readState?.lastReadMessage?.toString() || null,
+            lastReadAt: readState?.lastReadAt?.toISOString() || null,
+        };
+        const unreadCounts = await countUnread([await Chat.findById(chatId).select('_id readStates').lean()], userId);
+        const unreadCount = unreadCounts.get(chatId.toString()) || 0;
+
+        if (req.io) {
+            req.io.to(`user_${userId.toString()}`).emit('chatRead', { ...cursor, unreadCount });
+            if (readState) {
+                req.io.to(chatId.toString()).emit('read_receipt', cursor);
+            }
+        }
+
+        res.status(200).json({ message: 'messages marked as read successfully', ...cursor, unreadCount });
+
+    } catch (err) {
+        res.status(500).json({ message: 'server error marking messages as read.', error: err.message });
+    }
+});
+
+
+// mute (optionally until a date), archive, pin or hide a chat for the current user only
+router.patch('/:chatId/preferences', authMiddleware, async (req, res) => {
+    const { chatId } = req.params;
+    const { muted, mutedUntil, archived, pinned, hidden } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        return res.status(400).json({ message: 'invalid chat id format.' });
+    }
+
+    const flags = { muted, archived, pinned, hidden };
+    if (Object.values(flags).some(value => value !== undefined && typeof value !== 'boolean')) {
+        return res.status(400).json({ message: 'muted, archived, pinned and hidden must be true or false.' });
+    }
+    if (Object.values(flags).every(value => value === undefined)) {
+        return res.status(400).json({ message: 'no preference changes provided.' });
+    }
+
+    let muteExpiry = null;
+    if (mutedUntil !== undefined && mutedUntil !== null) {
+        muteExpiry = new Date(mutedUntil);
+        if (muted !== true || isNaN(muteExpiry) || muteExpiry <= new Date()) {
+            return res.status(400).json({ message: 'mutedUntil must be a future date and requires muted: true.' });
+        }
+    }
+
+    try {
+        const chat = await Chat.findById(chatId).select('participants preferences hiddenBy');
+        if (!chat) {
+            return res.status(404).json({ message: 'chat not found.' });
+        }
+        if (!chat.participants.some(p => p.toString() === req.user.id.toString())) {
+            return res.status(403).json({ message: 'not authorized to change preferences for this chat.' });
+        }
+
+        const result = await updatePreferences(chat, req.user._id, { ...flags, mutedUntil: muteExpiry });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error, code: result.code });
+        }
+
+        // keep the user's other devices in sync
+        if (req.io) {
+            req.io.to(`user_${req.user.id.toString()}`).emit('chatPreferencesUpdated', { chatId: chatId.toString(), ...result });
+        }
+
+        res.status(200).json({ chatId: chatId.toString(), ...result });
+    } catch (err) {
+        res.status(500).json({ message: 'server error updating chat preferences.', error: err.message });
+    }
+});
+
+
+router.get('/:chatId/members', authMiddleware, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.chatId)) {
+            return res.status(400).json({ message: 'invalid chat id format.' });
+        }
+
+        const chat = await Chat.findById(req.params.chatId)
+            .populate('participants', 'username profilePicture');
+
+        if (!chat) {
+            return res.status(404).json({ message: 'chat not found' });
+        }
+
+        if (chat.type !== 'group') {
+            return res.status(400).json({ message: 'this endpoint is only for group chats.' });
+        }
+
+        if (!chat.participants.some(p => p._id.toString() === req.user.id.toString())) {
+            return res.status(403).json({ message: 'not authorized to view members of this chat.' });
+        }
+
+        const ownerId = getOwnerId(chat);
+        const membersWithAdminStatus = chat.participants.map(p => {
+            const memberIsAdmin = isAdmin(chat, p._id);
+            const memberIsOwner = ownerId === p._id.toString();
+            return {
+                _id: p._id.toString(),
+                username: p.username,
+                profilePicture: p.profilePicture,
+                isAdmin: memberIsAdmin,
+                isOwner: memberIsOwner,
+                role: memberIsOwner ? 'owner' : (memberIsAdmin ? 'admin' : 'member'),
+            };
+        });
+
+        res.status(200).json(membersWithAdminStatus);
+    } catch (err) {
+        res.status(500).json({ message: 'server error fetching group members.', error: err.message });
+    }
+});
+
+router.post('/:chatId/members', authMiddleware, requireVerifiedEmail, async (req, res) => {
+    const { new_member_ids } = req.body;
+    const chatId = req.params.chatId;
+
+    if (!new_member_ids || !Array.isArray(new_member_ids) || new_member_ids.length === 0) {
+        return res.status(400).json({ message: 'new member ids array is required.' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        return res.status(400).json({ message: 'invalid chat id format.' });
+    }
+    if (!new_member_ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ message: 'invalid new member id format.' });
+    }
+
+    try {
+        const chat = await Chat.findById(chatId);
+
+        if (!chat) {
+            return res.status(404).json({ message: 'chat not found.' });
+        }
+        if (chat.type !== 'group') {
+            return res.status(400).json({ message: 'members can only be added to group chats.' });
+        }
+        if (!chat.participants.some(id => id.toString() === req.user.id.toString())) {
+            return res.status(403).json({ message: 'not authorized to add members to this chat.' });
+        }
+        if (!canAddMembers(chat, req.user.id)) {
+            return res.status(403).json({ message: 'only chat admins can add members.', code: 'ADMIN_ONLY_ADD_MEMBERS' });
+        }
+
+        const currentParticipantIds = new Set(chat.participants.map(id => id.toString()));
+        const uniqueNewMemberIds = new_member_ids.filter(id => !currentParticipantIds.has(id.toString()));
+
+        if (uniqueNewMemberIds.length === 0) {
+            return res.status(200).json({ message: 'all provided users are already members.', chat });
+        }
+
+        chat.participants.push(...uniqueNewMemberIds);
+        chat.updatedAt = Date.now();
+        await chat.save();
+
+        await chat.populate('participants', 'username profilePicture');
+
+        const addedUsers = await User.find({ _id: { $in: uniqueNewMemberIds } });
+        await postSystemMessage(req.io, chat, req.user.id, `${req.user.username} added ${addedUsers.map(u => u.username).join(', ')} to the group.`);
+
+        res.status(200).json({ message: 'members added successfully.', chat });
+    } catch (err) {
+        res.status(500).json({ message: 'server error adding members.', error: err.message });
+    }
+});
+
+router.delete('/:chatId/members/:memberIdToRemove', authMiddleware, async (req, res) => {
+    const { chatId, memberIdToRemove } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(memberIdToRemove)) {
+        return res.status(400).json({ message: 'invalid id format.' });
+    }
+
+    try {
+        const chat = await Chat.findById(chatId);
+
+        if (!chat) {
+            return res.status(404).json({ message: 'chat not found.' });
+        }
+        if (chat.type !== 'group') {
+            return res.status(400).json({ message: 'members can only be removed from group chats.' });
+        }
+        if (!isAdmin(chat, req.user.id)) {
+            return res.status(403).json({ message: 'only chat admins can remove members.' });
+        }
+
+        if (isOwner(chat, memberIdToRemove)) {
+            return res.status(403).json({ message: 'the group owner cannot be removed. transfer ownership first.' });
+        }
+        if (isAdmin(chat, memberIdToRemove) && !isOwner(chat, req.user.id)) {
+            return res.status(403).json({ message: 'only the group owner can remove other admins.' });
+        }
+
+        const initialParticipantsCount = chat.participants.length;
+        chat.participants = chat.participants.filter(id => id.toString() !== memberIdToRemove.toString());
+        chat.admins = chat.admins.filter(id => id.toString() !== memberIdToRemove.toString());
+
+        if (chat.participants.length === initialParticipantsCount) {
+            return res.status(404).json({ message: 'member not found in this chat.' });
+        }
+
+        chat.updatedAt = Date.now();
+        await chat.save();
+        removeFromChatRoom(req.io, chatId, [memberIdToRemove]);
+
+        await chat.populate('participants', 'username profilePicture');
+
+        const removedUser = await User.findById(memberIdToRemove);
+        await postSystemMessage(req.io, chat, req.user.id, `${req.user.username} removed ${removedUser ? removedUser.username : 'a user'} from the group.`);
+
+        if (req.io) {
+            req.io.to(`user_${memberIdToRemove}`).emit('chatRemoved', { chatId: chatId.toString() });
+        }
+
+        res.status(200).json({ message: 'member removed successfully.', chat });
+    } catch (err) {
+        res.status(500).json({ message: 'server error removing member.', error: err.message });
+    }
+});
+
+// load a group and check the caller may manage its roles. sends the error response itself and resolves
+// to null when the request can't go ahead
+const loadGroupForRoleChange = async (req, res) => {
+    const { chatId, userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(userId)) {
+        res.status(400).json({ message: 'invalid id format.' });
+        return null;
+    }
+
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+        res.status(404).json({ message: 'chat not found.' });
+        return null;
+    }
+    if (chat.type !== 'group') {
+        res.status(400).json({ message: 'roles only exist in group chats.' });
+        return null;
+    }
+    if (!chat.participants.some(p => p.toString() === userId.toString())) {
+        res.status(404).json({ message: 'member not found in this chat.' });
+        return null;
+    }
+    return chat;
+};
+
+
+// promote a member to admin. any admin can promote
+router.post('/:chatId/admins/:userId', authMiddleware, async (req, res) => {
+    try {
+        const chat = await loadGroupForRoleChange(req, res);
+        if (!chat) {
+            return;
+        }
+        const { userId } = req.params;
+
+        if (!isAdmin(chat, req.user.id)) {
+            return res.status(403).json({ message: 'only chat admins can promote members.' });
+        }
+        if (isAdmin(chat, userId)) {
+            return res.status(200).json({ message: 'user is already an admin.', admins: chat.admins.map(id => id.toString()) });
+        }
+
+        chat.owner = getOwnerId(chat);
+        chat.admins.push(userId);
+        chat.updatedAt = Date.now();
+        await chat.save();
+
+        const promotedUser = await User.findById(userId);
+        await postSystemMessage(req.io, chat, req.user.id, `${req.user.username} made ${promotedUser ? promotedUser.username : 'a user'} an admin.`);
+
+        res.status(200).json({ message: 'member promoted to admin.', admins: chat.admins.map(id => id.toString()), owner: getOwnerId(chat) });
+    } catch (err) {
+        res.status(500).json({ message: 'server error promoting member.', error: err.message });
+    }
+});
+
+
+// demote an admin. the owner can demote anyone else, other admins can only step down themselves
+router.delete('/:chatId/admins/:userId', authMiddleware, async (req, res) => {
+    try {
+        const chat = await loadGroupForRoleChange(req, res);
+        if (!chat) {
+            return;
+        }
+        const { userId } = req.params;
+        const isSelf = userId.toString() === req.user.id.toString();
+
+        if (!isAdmin(chat, userId)) {
+            return res.status(400).json({ message: 'user is not an admin.' });
+        }
+        if (isOwner(chat, userId)) {
+            return res.status(403).json({ message: 'the group owner cannot be demoted. transfer ownership first.' });
+        }
+        if (!isSelf && !isOwner(chat, req.user.id)) {
+            return res.status(403).json({ message: 'only the group owner can demote other admins.' });
+        }
+
+        chat.owner = getOwnerId(chat);
+        chat.admins = chat.admins.filter(id => id.toString() !== userId.toString());
+        chat.updatedAt = Date.now();
+        await chat.save();
+
+        const demotedUser = await User.findById(userId);
+        const demotedName = demotedUser ? demotedUser.username : 'a user';
+        const content = isSelf
+            ? `${demotedName} is no longer an admin.`
+            : `${req.user.username} removed ${demotedName} as an admin.`;
+        await postSystemMessage(req.io, chat, req.user.id, content);
+
+        res.status(200).json({ message: 'admin demoted.', admins: chat.admins.map(id => id.toString()), owner: getOwnerId(chat) });
+    } catch (err) {
+        res.status(500).json({ message: 'server error demoting admin.', error: err.message });
+    }
+});
+
+
+// hand the group over to another member. the new owner becomes an admin, the old owner stays one
+router.post('/:chatId/owner/:userId', authMiddleware, async (req, res) => {
+    try {
+        const chat = await loadGroupForRoleChange(req, res);
+        if (!chat) {
+            return;
+        }
+        const { userId } = req.params;
+
+        if (!isOwner(chat, req.user.id)) {
+            return res.status(403).json({ message: 'only the group owner can transfer ownership.' });
+        }
+        if (isOwner(chat, userId)) {
+            return res.status(400).json({ message: 'user already owns this group.' });
+        }
+
+        if (!isAdmin(chat, userId)) {
+            chat.admins.push(userId);
+        }
+        chat.owner = userId;
+        chat.updatedAt = Date.now();
+        await chat.save();
+
+        const newOwner = await User.findById(userId);
+        await postSystemMessage(req.io, chat, req.user.id, `${req.user.username} made ${newOwner ? newOwner.username : 'a user'} the group owner.`);
+
+        res.status(200).json({ message: 'ownership transferred.', admins: chat.admins.map(id => id.toString()), owner: getOwnerId(chat) });
+    } catch (err) {
+        res.status(500).json({ message: 'server error transferring ownership.', error: err.message });
+    }
+});
+
+
+// load a group the caller may edit the profile of. sends the error response itself and resolves to null otherwise
+const loadEditableGroup = async (req, res) => {
+    const { chatId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        res.status(400).json({ message: 'invalid chat id format.' });
+        return null;
+    }
+
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+        res.status(404).json({ message: 'chat not found.' });
+        return null;
+    }
+    if (chat.type !== 'group') {
+        res.status(400).json({ message: 'only group chats have a profile.' });
+        return null;
+    }
+    if (!chat.participants.some(p => p.toString() === req.user.id.toString())) {
+        res.status(403).json({ message: 'not authorized to edit this chat.' });
+        return null;
+    }
+    if (!canEditGroupInfo(chat, req.user.id)) {
+        res.status(403).json({ message: 'only chat admins can edit group info.', code: 'ADMIN_ONLY_INFO' });
+        return null;
+    }
+    return chat;
+};
+
+
+// rename the group or change its description: { name?, description? }
+router.patch('/:chatId', authMiddleware, async (req, res) => {
+    const { name, description } = req.body || {};
+
+    if (name === undefined && description === undefined) {
+        return res.status(400).json({ message: 'nothing to update. provide a name or description.' });
+    }
+    if (name !== undefined && (typeof name !== 'string' || name.trim() === '' || name.trim().length > 100)) {
+        return res.status(400).json({ message: 'group name must be between 1 and 100 characters.' });
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.trim().length > 500)) {
+        return res.status(400).json({ message: 'group description must be at most 500 characters.' });
+    }
+
+    try {
+        const chat = await loadEditableGroup(req, res);
+        if (!chat) {
+            return;
+        }
+
+        const announcements = [];
+        if (name !== undefined && name.trim() !== chat.name) {
+            chat.name = name.trim();
+            announcements.push(`${req.user.username} changed the group name to "${chat.name}".`);
+        }
+        if (description !== undefined && description.trim() !== (chat.description || '')) {
+            chat.description = description.trim();
+            announcements.push(chat.description
+                ? `${req.user.username} changed the group description.`
+                : `${req.user.username} removed the group description.`);
+        }
+
+        if (announcements.length === 0) {
+            return res.status(200).json({ message: 'group info unchanged.', name: chat.name, description: chat.description || '' });
+        }
+
+        chat.updatedAt = Date.now();
+        await chat.save();
+
+        for (const content of announcements) {
+            await postSystemMessage(req.io, chat, req.user.id, content);
+        }
+
+        res.status(200).json({ message: 'group info updated.', name: chat.name, description: chat.description || '' });
+    } catch (err) {
+        res.status(500).json({ message: 'server error updating group info.', error: err.message });
+    }
+});
+
+
+// group settings. admin only: { onlyAdminsCanEditInfo?, onlyAdminsCanSend?, membersCanAddMembers?, slowModeSeconds? }
+router.patch('/:chatId/settings', authMiddleware, async (req, res) => {
+    const { updates, error } = parseSettingsUpdate(req.body || {});
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.chatId)) {
+        return res.status(400).json({ message: 'invalid chat id format.' });
+    }
+
+    try {
+        const chat = await Chat.findById(req.params.chatId);
+        if (!chat) {
+            return res.status(404).json({ message: 'chat not found.' });
+        }
+        if (chat.type !== 'group') {
+            return res.status(400).json({ message: 'settings only exist for group chats.' });
+        }
+        if (!isAdmin(chat, req.user.id)) {
+            return res.status(403).json({ message: 'only chat admins can change group settings.' });
+        }
+
+        const current = formatGroupSettings(chat);
+        const changed = Object.keys(updates).filter(key => current[key] !== updates[key]);
+        if (changed.length === 0) {
+            return res.status(200).json({ message: 'group settings unchanged.', settings: current });
+        }
+
+        changed.forEach(key => {
+            chat.settings[key] = updates[key];
+        });
+        chat.updatedAt = Date.now();
+        await chat.save();
+
+        // one announcement per setting, so members see exactly what changed
+        for (const key of changed) {
+            await postSystemMessage(req.io, chat, req.user.id, describeSettingChange(req.user.username, key, updates[key]));
+        }
+
+        res.status(200).json({ message: 'group settings updated.', settings: formatGroupSettings(chat) });
+    } catch (err) {
+        res.status(500).json({ message: 'server error updating group settings.', error: err.message });
+    }
+});
+
+
+// disappearing messages timer: { seconds }, one of DISAPPEARING_TIMERS. any participant of a private chat
+// can change it, only admins in a group. applies to messages sent from now on
+router.put('/:chatId/disappearing', authMiddleware, async (req, res) => {
+    const { seconds } = req.body || {};
+
+    if (!isValidTimer(seconds)) {
+        return res.status(400).json({
+            message: `seconds must be one of ${Object.keys(DISAPPEARING_TIMERS).join(', ')}.`,
+        });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.chatId)) {
+        return res.status(400).json({ message: 'invalid chat id format.' });
+    }
+
+    try {
+        const chat = await Chat.findById(req.params.chatId);
+        if (!chat) {
+            return res.status(404).json({ message: 'chat not found.' });
+        }
+        if (!chat.participants.some(p => p.toString() === req.user.id.toString())) {
+            return res.status(403).json({ message: 'not authorized to change this chat.' });
+        }
+        if (chat.type === 'group' && !isAdmin(chat, req.user.id)) {
+            return res.status(403).json({ message: 'only chat admins can change disappearing messages in a group.' });
+        }
+
+        if ((chat.disappearingSeconds || 0) === seconds) {
+            return res.status(200).json({ message: 'disappearing messages unchanged.', disappearingSeconds: seconds });
+        }
+
+        chat.disappearingSeconds = seconds;
+        chat.updatedAt = Date.now();
+        await chat.save();
+
+        await postSystemMessage(req.io, chat, req.user.id, describeTimerChange(req.user.username, seconds));
+
+        res.status(200).json({ message: 'disappearing messages updated.', disappearingSeconds: seconds });
+    } catch (err) {
+        res.status(500).json({ message: 'server error updating disappearing messages.', error: err.message });
+    }
+});
+
+
+// the caller's right to edit the group is checked before multer writes anything to disk
+const requireEditableGroup = async (req, res, next) => {
+    try {
+        req.chat = await loadEditableGroup(req, res);
+        if (req.chat) {
+            next();
+        }
+    } catch (err) {
+        res.status(500).json({ message: 'server error updating group photo.', error: err.message });
+    }
+};
+
+router.put('/:chatId/avatar', authMiddleware, requireEditableGroup, avatarUpload.single('avatar'), verifyUpload(['image']), storeUpload('group_avatars'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ message: 'no file uploaded.' });
+        }
+
+        const { chat } = req;
+
+        if (chat.avatar) {
+            removeUploadedFile(chat.avatar);
+        }
+
+        // same url format as profile pictures
+        chat.avatar = absoluteUploadUrl(req, req.file.url);
+        chat.updatedAt = Date.now();
+        await chat.save();
+
+        await postSystemMessage(req.io, chat, req.user.id, `${req.user.username} changed the group photo.`);
+
+        res.status(200).json({ message: 'group photo updated.', avatar: chat.avatar });
+    } catch (err) {
+        res.status(500).json({ message: 'server error updating group photo.', error: err.message });
+    }
+});
+
+
+router.delete('/:chatId/avatar', authMiddleware, async (req, res) => {
+    try {
+        const chat = await loadEditableGroup(req, res);
+        if (!chat) {
+            return;
+        }
+        if (!chat.avatar) {
+            return res.status(200).json({ message: 'group has no photo.', avatar: null });
+        }
+
+        removeUploadedFile(chat.avatar);
+        chat.avatar = null;
+        chat.updatedAt = Date.now();
+        await chat.save();
+
+        await postSystemMessage(req.io, chat, req.user.id, `${req.user.username} removed the group photo.`);
+
+        res.status(200).json({ message: 'group photo removed.', avatar: null });
+    } catch (err) {
+        res.status(500).json({ message: 'server error removing group photo.', error: err.message });
+    }
+});
+
+
+// load a group the caller administers. sends the error response itself and resolves to null otherwise
+const loadAdministeredGroup = async (req, res) => {
+    const { chatId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        res.status(400).json({ message: 'invalid chat id format.' });
+        return null;
+    }
+
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+        res.status(404).json({ message: 'chat not found.' });
+        return null;
+    }
+    if (chat.type !== 'group') {
+        res.status(400).json({ message: 'invites only exist for group chats.' });
+        return null;
+    }
+    if (!isAdmin(chat, req.user.id)) {
+        res.status(403).json({ message: 'only chat admins can manage invites.' });
+        return null;
+    }
+    return chat;
+};
+
+
+// create an invite link: { expiresInSeconds?, maxUses?, requireApproval? }
+router.post('/:chatId/invites', authMiddleware, async (req, res) => {
+    const { expiresInSeconds, maxUses, requireApproval = false } = req.body || {};
+
+    if (expiresInSeconds !== undefined && expiresInSeconds !== null && (!Number.isInteger(expiresInSeconds) || expiresInSeconds < 60)) {
+        return res.status(400).json({ message: 'expiresInSeconds must be a whole number of at least 60.' });
+    }
+    if (maxUses !== undefined && maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+        return res.status(400).json({ message: 'maxUses must be a positive whole number.' });
+    }
+    if (typeof requireApproval !== 'boolean') {
+        return res.status(400).json({ message: 'requireApproval must be true or false.' });
+    }
+
+    try {
+        const chat = await loadAdministeredGroup(req, res);
+        if (!chat) {
+            return;
+        }
+
+        const invite = await GroupInvite.create({
+            chat: chat._id,
+            code: generateInviteCode(),
+            createdBy: req.user.id,
+            expiresAt: expiresInSeconds ? new Date(Date.now() + expiresInSeconds * 1000) : null,
+            maxUses: maxUses || null,
+            requireApproval,
+        });
+
+        res.status(201).json(formatInvite(invite));
+    } catch (err) {
+        res.status(500).json({ message: 'server error creating invite.', error: err.message });
+    }
+});
+
+
+router.get('/:chatId/invites', authMiddleware, async (req, res) => {
+    try {
+        const chat = await loadAdministeredGroup(req, res);
+        if (!chat) {
+            return;
+        }
+
+        const invites = await GroupInvite.find({ chat: chat._id, revokedAt: null }).sort({ createdAt: -1 });
+        res.status(200).json(invites.map(formatInvite));
+    } catch (err) {
+        res.status(500).json({ message: 'server error fetching invites.', error: err.message });
+    }
+});
+
+
+router.delete('/:chatId/invites/:inviteId', authMiddleware, async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.inviteId)) {
+        return res.status(400).json({ message: 'invalid invite id format.' });
+    }
+
+    try {
+        const chat = await loadAdministeredGroup(req, res);
+        if (!chat) {
+            return;
+        }
+
+        const invite = await GroupInvite.findOneAndUpdate(
+            { _id: req.params.inviteId, chat: chat._id, revokedAt: null },
+            { revokedAt: new Date() },
+            { new: true }
+        );
+        if (!invite) {
+            return res.status(404).json({ message: 'invite not found.' });
+        }
+
+        // requests that came in through this link can no longer be approved
+        await JoinRequest.deleteMany({ invite: invite._id });
+
+        res.status(200).json({ message: 'invite revoked.', invite: formatInvite(invite) });
+    } catch (err) {
+        res.status(500).json({ message: 'server error revoking invite.', error: err.message });
+    }
+});
+
+
+router.get('/:chatId/join-requests', authMiddleware, async (req, res) => {
+    try {
+        const chat = await loadAdministeredGroup(req, res);
+        if (!chat) {
+            return;
+        }
+
+        const requests = await JoinRequest.find({ chat: chat._id })
+            .sort({ createdAt: 1 })
+            .populate('user', 'username profilePicture')
+            .lean();
+
+        res.status(200).json(requests.filter(r => r.user).map(r => ({
+            _id: r._id.toString(),
+            user: {
+                _id: r.user._id.toString(),
+                username: r.user.username,
+                profilePicture: r.user.profilePicture || null,
+            },
+            invite: r.invite.toString(),
+            createdAt: r.createdAt.toISOString(),
+        })));
+    } catch (err) {
+        res.status(500).json({ message: 'server error fetching join requests.', error: err.message });
+    }
+});
+
+
+// approve or decline a queued join request
+const handleJoinRequest = (approve) => async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.requestId)) {
+        return res.status(400).json({ message: 'invalid request id format.' });
+    }
+
+    try {
+        const chat = await loadAdministeredGroup(req, res);
+        if (!chat) {
+            return;
+        }
+
+        const joinRequest = await JoinRequest.findOneAndDelete({ _id: req.params.requestId, chat: chat._id });
+        if (!joinRequest) {
+            return res.status(404).json({ message: 'join request not found.' });
+        }
+
+        const requester = await User.findById(joinRequest.user);
+        if (!requester) {
+            return res.status(404).json({ message: 'user not found.' });
+        }
+
+        const notifyRequester = (event) => {
+            if (req.io) {
+                req.io.to(`user_${requester._id.toString()}`).emit(event, {
+                    requestId: joinRequest._id.toString(),
+                    chatId: chat._id.toString(),
+                    chatName: chat.name,
+                });
+            }
+        };
+
+        const alreadyMember = chat.participants.some(p => p.toString() === requester._id.toString());
+        if (approve && !alreadyMember) {
+            // the invite may have been revoked, expired or used up since the request was made
+            const invite = await GroupInvite.findById(joinRequest.invite).select('code');
+            const claimed = invite && await claimInviteUse(invite.code);
+            if (!claimed) {
+                notifyRequester('join_request_declined');
+                return res.status(410).json({ message: 'the invite link this request was made with is no longer valid.', code: 'INVITE_INVALID' });
+            }
+            await joinGroup(req.io, chat._id, requester, `${requester.username} joined the group via invite link.`);
+        }
+
+        notifyRequester(approve ? 'join_request_approved' : 'join_request_declined');
+
+        res.status(200).json({ message: approve ? 'join request approved.' : 'join request declined.' });
+    } catch (err) {
+        res.status(500).json({ message: 'server error handling join request.', error: err.message });
+    }
+};
+
+router.post('/:chatId/join-requests/:requestId/approve', authMiddleware, handleJoinRequest(true));
+router.post('/:chatId/join-requests/:requestId/decline', authMiddleware, handleJoinRequest(false));
+
+
+router.delete('/:chatId', authMiddleware, async (req, res) => {
+    const { chatId } = req.params;
+    const userId = req.user.id;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        return res.status(400).json({ message: 'invalid chat id format.' });
+    }
+
+    try {
+        const chat = await Chat.findById(chatId);
+
+        if (!chat) {
+            return res.status(404).json({ message: 'chat not found.' });
+        }
+
         if (chat.type === 'group') {
-            if (!isAdmin(chat, userId)) {
-                return res.status(403).json({ message: 'only chat admins can delete group chats.' });
+            if (!isOwner(chat, userId)) {
+                return res.status(403).json({ message: 'only the group owner can delete group chats.' });
             }
         } else {
             if (!chat.participants.includes(userId)) {
@@ -650,7 +1712,10 @@ router.delete('/:chatId', authMiddleware, async (req, res) => {
 
         if (chat.type === 'group' || (chat.type === 'private' && chat.participants.length === 0)) {
             await Message.deleteMany({ chat: chatId });
+            await GroupInvite.deleteMany({ chat: chatId });
+            await JoinRequest.deleteMany({ chat: chatId });
             await Chat.deleteOne({ _id: chatId });
+            removeFromChatRoom(req.io, chatId, [...chat.participants, userId]);
 
             if (req.io) {
                 const allParticipants = chat.participants.map(p => p.toString());
@@ -665,6 +1730,7 @@ router.delete('/:chatId', authMiddleware, async (req, res) => {
             return res.status(200).json({ message: 'chat and its messages deleted successfully.' });
         } else if (chat.type === 'private' && chat.participants.length > 0) {
             await chat.save();
+            removeFromChatRoom(req.io, chatId, [userId]);
             if (req.io) {
                 req.io.to(`user_${userId.toString()}`).emit('chatRemoved', { chatId: chatId.toString() });
                 const remainingParticipantId = chat.participants[0].toString();
@@ -710,11 +1776,8 @@ router.post('/:chatId/leave', authMiddleware, async (req, res) => {
             return res.status(400).json({ message: 'you are not a participant of this chat.' });
         }
 
-        if (isAdmin(chat, userId) && chat.admins.length === 1 && chat.admins[0].toString() === userId.toString()) {
-            return res.status(403).json({ message: 'cannot leave: you are the last admin. transfer admin rights or delete the group.' });
-        }
-
         const initialParticipantsCount = chat.participants.length;
+        const previousOwnerId = getOwnerId(chat);
 
         chat.participants = chat.participants.filter(p => p.toString() !== userId.toString());
         chat.admins = chat.admins.filter(a => a.toString() !== userId.toString());
@@ -723,60 +1786,39 @@ router.post('/:chatId/leave', authMiddleware, async (req, res) => {
             return res.status(404).json({ message: 'user not found in this chat.' });
         }
 
+        // the last member out takes the group with them
+        if (chat.participants.length === 0) {
+            await Message.deleteMany({ chat: chatId });
+            await Chat.deleteOne({ _id: chatId });
+            removeFromChatRoom(req.io, chatId, [userId]);
+            if (req.io) {
+                req.io.to(`user_${userId.toString()}`).emit('chatRemoved', { chatId: chatId.toString() });
+            }
+            return res.status(200).json({ message: 'successfully left chat.' });
+        }
+
+        const { promotedAdminId, newOwnerId } = ensureGroupLeadership(chat, previousOwnerId);
+
         chat.updatedAt = Date.now();
         await chat.save();
+        removeFromChatRoom(req.io, chatId, [userId]);
 
         await chat.populate('participants', 'username profilePicture');
 
-        if (req.io) {
-            const leavingUser = await User.findById(userId);
-            const messageContent = `${leavingUser ? leavingUser.username : 'a user'} has left the group.`;
-
-            const systemMessage = new Message({
-                chat: chatId,
-                sender: userId,
-                content: messageContent,
-                isSystemMessage: true,
-            });
-            await systemMessage.save();
-            await systemMessage.populate('sender', 'username profilePicture');
-
-            const systemMessageData = {
-                _id: systemMessage._id.toString(),
-                chat: systemMessage.chat.toString(),
-                sender: {
-                    _id: systemMessage.sender._id.toString(),
-                    username: systemMessage.sender.username,
-                    profilePicture: systemMessage.sender.profilePicture || null,
-                },
-                content: systemMessage.content,
-                isSystemMessage: true,
-                createdAt: systemMessage.createdAt.toISOString(),
-                updatedAt: systemMessage.updatedAt.toISOString(),
-            };
-
-            req.io.to(chatId.toString()).emit('receive_message', systemMessageData);
+        const leavingUser = await User.findById(userId);
+        await postSystemMessage(req.io, chat, userId, `${leavingUser ? leavingUser.username : 'a user'} has left the group.`);
 
-            chat.participants.forEach(participant => {
-                req.io.to(`user_${participant._id.toString()}`).emit('chatUpdated', {
-                    _id: chat._id.toString(),
-                    name: chat.name,
-                    type: chat.type,
-                    participants: chat.participants.map(p => ({
-                        _id: p._id.toString(),
-                        username: p.username,
-                        profilePicture: p.profilePicture
-                    })),
-                    admins: chat.admins.map(id => id.toString()),
-                    lastMessage: {
-                        sender: { _id: systemMessage.sender._id.toString(), username: systemMessage.sender.username, profilePicture: systemMessage.sender.profilePicture },
-                        content: systemMessage.content,
-                        timestamp: systemMessage.createdAt.toISOString()
-                    },
-                    updatedAt: chat.updatedAt.toISOString(),
-                });
-            });
+        // announce automatic promotions so the group knows who is in charge now
+        if (promotedAdminId) {
+            const promotedUser = await User.findById(promotedAdminId);
+            await postSystemMessage(req.io, chat, promotedAdminId, `${promotedUser ? promotedUser.username : 'a user'} is now an admin.`);
+        }
+        if (newOwnerId) {
+            const newOwner = await User.findById(newOwnerId);
+            await postSystemMessage(req.io, chat, newOwnerId, `${newOwner ? newOwner.username : 'a user'} is now the group owner.`);
+        }
 
+        if (req.io) {
             req.io.to(`user_${userId.toString()}`).emit('chatRemoved', { chatId: chatId.toString() });
         }
 
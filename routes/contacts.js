@@ -0,0 +1,237 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ContactRequest = require('../models/ContactRequest');
+const protect = require('../middleware/auth');
+const { hasBlocked } = require('../utils/blocks');
+
+const formatContactUser = (user) => ({
+    _id: user._id.toString(),
+    username: user.username,
+    profilePicture: user.profilePicture || null,
+    online: user.onlineStatus || false,
+    lastSeen: user.lastSeen ? user.lastSeen.toISOString() : null,
+});
+
+const formatRequest = (request) => ({
+    _id: request._id.toString(),
+    from: request.from.username !== undefined ? formatContactUser(request.from) : request.from.toString(),
+    to: request.to.username !== undefined ? formatContactUser(request.to) : request.to.toString(),
+    createdAt: request.createdAt.toISOString(),
+});
+
+const CONTACT_FIELDS = 'username profilePicture onlineStatus lastSeen';
+
+// make two users each other's contacts and notify both
+const connectContacts = async (io, userA, userB) => {
+    await Promise.all([
+        User.updateOne({ _id: userA._id }, { $addToSet: { contacts: userB._id } }),
+        User.updateOne({ _id: userB._id }, { $addToSet: { contacts: userA._id } }),
+    ]);
+    if (io) {
+        io.to(`user_${userA._id.toString()}`).emit('contact_added', formatContactUser(userB));
+        io.to(`user_${userB._id.toString()}`).emit('contact_added', formatContactUser(userA));
+    }
+};
+
+router.get('/', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id)
+            .populate('contacts', CONTACT_FIELDS)
+            .lean();
+
+        const contacts = (user?.contacts || [])
+            .map(formatContactUser)
+            .sort((a, b) => a.username.localeCompare(b.username));
+
+        res.json(contacts);
+    } catch (error) {
+        res.status(500).json({ message: 'Server error fetching contacts.' });
+    }
+});
+
+router.get('/requests', protect, async (req, res) => {
+    try {
+        const [incoming, outgoing] = await Promise.all([
+            ContactRequest.find({ to: req.user._id }).sort({ createdAt: -1 }).populate('from', CONTACT_FIELDS).lean(),
+            ContactRequest.find({ from: req.user._id }).sort({ createdAt: -1 }).populate('to', CONTACT_FIELDS).lean(),
+        ]);
+
+        res.json({
+            incoming: incoming.filter(r => r.from).map(formatRequest),
+            outgoing: outgoing.filter(r => r.to).map(formatRequest),
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error fetching contact requests.' });
+    }
+});
+
+router.post('/requests', protect, async (req, res) => {
+    const { userId } = req.body || {};
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ message: 'A valid user id is required.' });
+    }
+    if (userId.toString() === req.user._id.toString()) {
+        return res.status(400).json({ message: 'You cannot add yourself as a contact.' });
+    }
+
+    try {
+        const target = await User.findById(userId).select(`${CONTACT_FIELDS} blockedUsers`);
+        if (!target) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (hasBlocked(req.user, userId)) {
+            return res.status(400).json({ message: 'Unblock this user before adding them as a contact.' });
+        }
+        if (hasBlocked(target, req.user._id)) {
+            return res.status(403).json({ message: 'You cannot send a contact request to this user.', code: 'USER_BLOCKED' });
+        }
+        if (req.user.contacts.some(id => id.toString() === userId.toString())) {
+            return res.status(409).json({ message: 'This user is already one of your contacts.' });
+        }
+
+        // they already asked us: treat our request as accepting theirs
+        const reverse = await ContactRequest.findOneAndDelete({ from: userId, to: req.user._id });
+        if (reverse) {
+            await connectContacts(req.io, req.user, target);
+            if (req.io) {
+                req.io.to(`user_${userId.toString()}`).emit('contact_request_accepted', {
+                    requestId: reverse._id.toString(),
+                    user: formatContactUser(req.user),
+                });
+            }
+            return res.status(200).json({ message: 'Contact added.', contact: formatContactUser(target) });
+        }
+
+        const existing = await ContactRequest.findOne({ from: req.user._id, to: userId });
+        if (existing) {
+            return res.status(409).json({ message: 'Contact request already sent.' });
+        }
+
+        const request = await ContactRequest.create({ from: req.user._id, to: userId });
+
+        if (req.io) {
+            req.io.to(`user_${userId.toString()}`).emit('contact_request_received', {
+                _id: request._id.toString(),
+                from: formatContactUser(req.user),
+                createdAt: request.createdAt.toISOString(),
+            });
+        }
+
+        res.status(201).json({ message: 'Contact request sent.', request: formatRequest(request) });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'Contact request already sent.' });
+        }
+        res.status(500).json({ message: 'Server error sending contact request.' });
+    }
+});
+
+router.post('/requests/:requestId/accept', protect, async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.requestId)) {
+        return res.status(400).json({ message: 'Invalid request id format.' });
+    }
+
+    try {
+        const request = await ContactRequest.findOneAndDelete({ _id: req.params.requestId, to: req.user._id });
+        if (!request) {
+            return res.status(404).json({ message: 'Contact request not found.' });
+        }
+
+        const requester = await User.findById(request.from).select(CONTACT_FIELDS);
+        if (!requester) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        await connectContacts(req.io, req.user, requester);
+
+        if (req.io) {
+            req.io.to(`user_${requester._id.toString()}`).emit('contact_request_accepted', {
+                requestId: request._id.toString(),
+                user: formatContactUser(req.user),
+            });
+        }
+
+        res.json({ message: 'Contact request accepted.', contact: formatContactUser(requester) });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error accepting contact request.' });
+    }
+});
+
+router.post('/requests/:requestId/decline', protect, async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.requestId)) {
+        return res.status(400).json({ message: 'Invalid request id format.' });
+    }
+
+    try {
+        const request = await ContactRequest.findOneAndDelete({ _id: req.params.requestId, to: req.user._id });
+        if (!request) {
+            return res.status(404).json({ message: 'Contact request not found.' });
+        }
+
+        if (req.io) {
+            req.io.to(`user_${request.from.toString()}`).emit('contact_request_declined', {
+                requestId: request._id.toString(),
+                userId: req.user._id.toString(),
+            });
+        }
+
+        res.json({ message: 'Contact request declined.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error declining contact request.' });
+    }
+});
+
+// the sender withdraws a request that hasn't been answered yet
+router.delete('/requests/:requestId', protect, async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.requestId)) {
+        return res.status(400).json({ message: 'Invalid request id format.' });
+    }
+
+    try {
+        const request = await ContactRequest.findOneAndDelete({ _id: req.params.requestId, from: req.user._id });
+        if (!request) {
+            return res.status(404).json({ message: 'Contact request not found.' });
+        }
+
+        if (req.io) {
+            req.io.to(`user_${request.to.toString()}`).emit('contact_request_cancelled', {
+                requestId: request._id.toString(),
+                userId: req.user._id.toString(),
+            });
+        }
+
+        res.json({ message: 'Contact request cancelled.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error cancelling contact request.' });
+    }
+});
+
+// removing a contact is mutual
+router.delete('/:userId', protect, async (req, res) => {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ message: 'Invalid user id format.' });
+    }
+
+    try {
+        const result = await User.updateOne({ _id: req.user._id }, { $pull: { contacts: userId } });
+        await User.updateOne({ _id: userId }, { $pull: { contacts: req.user._id } });
+
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({ message: 'This user is not one of your contacts.' });
+        }
+
+        if (req.io) {
+            req.io.to(`user_${userId.toString()}`).emit('contact_removed', { userId: req.user._id.toString() });
+        }
+
+        res.json({ message: 'Contact removed.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error removing contact.' });
+    }
+});
+
+module.exports = router;
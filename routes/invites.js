@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const Chat = require('../models/Chat');
+const GroupInvite = require('../models/GroupInvite');
+const JoinRequest = require('../models/JoinRequest');
+const authMiddleware = require('../middleware/auth');
+const { isInviteUsable, claimInviteUse, joinGroup } = require('../utils/invites');
+
+const findInviteByCode = (code) => GroupInvite.findOne({ code }).populate('chat', 'name type participants admins');
+
+// preview the group behind an invite before joining
+router.get('/:code', authMiddleware, async (req, res) => {
+    try {
+        const invite = await findInviteByCode(req.params.code);
+        if (!invite || !invite.chat || !isInviteUsable(invite)) {
+            return res.status(404).json({ message: 'invite link is invalid or has expired.', code: 'INVITE_INVALID' });
+        }
+
+        const chat = invite.chat;
+        res.status(200).json({
+            chat: {
+                _id: chat._id.toString(),
+                name: chat.name,
+                type: chat.type,
+                memberCount: chat.participants.length,
+            },
+            requireApproval: invite.requireApproval,
+            expiresAt: invite.expiresAt ? invite.expiresAt.toISOString() : null,
+            isMember: chat.participants.some(p => p.toString() === req.user.id.toString()),
+        });
+    } catch (err) {
+        res.status(500).json({ message: 'server error loading invite.', error: err.message });
+    }
+});
+
+router.post('/:code/join', authMiddleware, async (req, res) => {
+    try {
+        const invite = await findInviteByCode(req.params.code);
+        if (!invite || !invite.chat || invite.chat.type !== 'group' || !isInviteUsable(invite)) {
+            return res.status(404).json({ message: 'invite link is invalid or has expired.', code: 'INVITE_INVALID' });
+        }
+
+        const chat = invite.chat;
+        const chatId = chat._id.toString();
+        if (chat.participants.some(p => p.toString() === req.user.id.toString())) {
+            return res.status(200).json({ message: 'you are already a member of this group.', chatId });
+        }
+
+        // approval mode: queue the request and let the admins know
+        if (invite.requireApproval) {
+            const existing = await JoinRequest.findOne({ chat: chat._id, user: req.user._id });
+            if (existing) {
+                return res.status(200).json({ message: 'your join request is waiting for approval.', chatId, pending: true });
+            }
+
+            const joinRequest = await JoinRequest.create({ chat: chat._id, user: req.user._id, invite: invite._id });
+
+            if (req.io) {
+                chat.admins.forEach(adminId => {
+                    req.io.to(`user_${adminId.toString()}`).emit('join_request_created', {
+                        _id: joinRequest._id.toString(),
+                        chatId,
+                        user: {
+                            _id: req.user._id.toString(),
+                            username: req.user.username,
+                            profilePicture: req.user.profilePicture || null,
+                        },
+                        createdAt: joinRequest.createdAt.toISOString(),
+                    });
+                });
+            }
+
+            return res.status(202).json({ message: 'join request sent to the group admins.', chatId, pending: true });
+        }
+
+        // take a use atomically so concurrent joins can't exceed maxUses
+        const claimed = await claimInviteUse(invite.code);
+        if (!claimed) {
+            return res.status(404).json({ message: 'invite link is invalid or has expired.', code: 'INVITE_INVALID' });
+        }
+
+        await joinGroup(req.io, chat._id, req.user, `${req.user.username} joined the group via invite link.`);
+
+        res.status(200).json({ message: 'joined the group.', chatId, pending: false });
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(200).json({ message: 'your join request is waiting for approval.', pending: true });
+        }
+        res.status(500).json({ message: 'server error joining group.', error: err.message });
+    }
+});
+
+module.exports = router;
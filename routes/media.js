@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { pipeline } = require('stream');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const authMiddleware = require('../middleware/auth');
+const { getStorage } = require('../storage');
+const { verifyMediaSignature } = require('../utils/mediaUrls');
+const { notExpired } = require('../utils/disappearingMessages');
+
+/*
+ * the byte range asked for in a Range header, as inclusive { start, end }. null when the whole file should
+ * be sent (no header, a syntax we don't handle such as multiple ranges), false when it can't be satisfied
+ */
+const parseRange = (header, size) => {
+    const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // suffix range: the last n bytes
+        const length = parseInt(match[2], 10);
+        if (length === 0) {
+            return false;
+        }
+        start = Math.max(size - length, 0);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    if (start >= size || start > end) {
+        return false;
+    }
+    return { start, end };
+};
+
+// documents are downloaded under their original name, everything else can be shown inline
+const contentDisposition = (message) => {
+    const name = message.mediaInfo.originalName;
+    const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const type = message.mediaType === 'file' ? 'attachment' : 'inline';
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(name).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)}`;
+};
+
+// a valid signed link lets the request through on its own, anything else needs a logged-in participant
+const authorizeMedia = (variant) => (req, res, next) => {
+    if (req.query.sig === undefined) {
+        return authMiddleware(req, res, next);
+    }
+    if (!verifyMediaSignature(req.params.messageId, variant, req.query)) {
+        return res.status(403).json({ message: 'media link is invalid or has expired.', code: 'MEDIA_LINK_INVALID' });
+    }
+    req.mediaLinkExpires = parseInt(req.query.expires, 10);
+    next();
+};
+
+const serveMedia = (variant) => async (req, res) => {
+    const { messageId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        return res.status(400).json({ message: 'invalid message id format.' });
+    }
+
+    try {
+        const message = await Message.findOne({ _id: messageId, ...notExpired() })
+            .select('chat mediaUrl mediaType mediaInfo isDeleted')
+            .lean();
+        const url = variant === 'thumbnail' ? message?.mediaInfo?.thumbnailUrl : message?.mediaUrl;
+        if (!message || message.isDeleted || !url) {
+            return res.status(404).json({ message: 'media not found.' });
+        }
+
+        if (!req.mediaLinkExpires) {
+            const isParticipant = await Chat.exists({ _id: message.chat, participants: req.user._id });
+            if (!isParticipant) {
+                return res.status(403).json({ message: 'not authorized to view media in this chat.' });
+            }
+        }
+
+        const storage = getStorage();
+        const key = storage.keyFor(url);
+        if (!key) {
+            return res.status(404).json({ message: 'media not found.' });
+        }
+
+        const { size, contentType } = await storage.stat(key);
+        const range = parseRange(req.headers.range, size);
+
+        res.setHeader('Accept-Ranges', 'bytes');
+        res.setHeader('Content-Type', (variant === 'file' && message.mediaInfo?.mimeType) || contentType);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        if (variant === 'file' && message.mediaInfo?.originalName) {
+            res.setHeader('Content-Disposition', contentDisposition(message));
+        }
+        // signed links can be cached by the browser until they expire, nothing is shared with proxies
+        res.setHeader('Cache-Control', req.mediaLinkExpires
+            ? `private, max-age=${Math.max(req.mediaLinkExpires - Math.floor(Date.now() / 1000), 0)}`
+            : 'private, no-cache');
+
+        if (range === false) {
+            res.setHeader('Content-Range', `bytes */${size}`);
+            return res.status(416).end();
+        }
+
+        if (range) {
+            res.status(206);
+            res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+            res.setHeader('Content-Length', range.end - range.start + 1);
+        } else {
+            res.status(200);
+            res.setHeader('Content-Length', size);
+        }
+
+        const stream = await storage.createReadStream(key, range || {});
+        pipeline(stream, res, (err) => {
+            // clients aborting a video halfway is normal
+            if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                console.error(`failed to stream media for message ${messageId}:`, err.message);
+            }
+        });
+    } catch (err) {
+        if (err.code === 'ENOENT' || err.name === 'NotFound' || err.name === 'NoSuchKey') {
+            return res.status(404).json({ message: 'media not found.' });
+        }
+        res.status(500).json({ message: 'server error loading media.', error: err.message });
+    }
+};
+
+router.get('/:messageId', authorizeMedia('file'), serveMedia('file'));
+router.get('/:messageId/thumbnail', authorizeMedia('thumbnail'), serveMedia('thumbnail'));
+
+module.exports = router;
@@ -4,6 +4,117 @@ const protect = require('../middleware/auth');
 const Chat = require('../models/Chat'); 
 const Message = require('../models/Message');
 const User = require('../models/User'); 
+const mongoose = require('mongoose');
+const { parsePageQuery, fetchMessagePage } = require('../utils/messagePagination');
+const { buildSnippet } = require('../utils/messageSearch');
+const { toMediaUrl } = require('../utils/messageFormatter');
+const { hiddenSendersFor } = require('../utils/blocks');
+const { checkCanSend, formatSendRejection } = require('../utils/sendPermissions');
+const { messageExpiry, notExpired } = require('../utils/disappearingMessages');
+const { resurfaceChat } = require('../utils/chatPreferences');
+
+const SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_PAGE_SIZE = 50;
+
+router.get('/search', protect, async (req, res) => {
+    const { q, chatId, senderId, from, to, hasMedia } = req.query;
+
+    if (typeof q !== 'string' || q.trim() === '') {
+        return res.status(400).json({ message: 'Search query is required' });
+    }
+    if ((chatId && !mongoose.Types.ObjectId.isValid(chatId)) || (senderId && !mongoose.Types.ObjectId.isValid(senderId))) {
+        return res.status(400).json({ message: 'Invalid chat or sender id format' });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return res.status(400).json({ message: 'Invalid date range' });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || SEARCH_PAGE_SIZE, 1), MAX_SEARCH_PAGE_SIZE);
+
+    try {
+        // only chats the user is still in. chats they have left drop out of the results
+        const chats = await Chat.find({ participants: req.user._id })
+            .select('name type participants')
+            .populate('participants', 'username profilePicture')
+            .lean();
+        const chatsById = new Map(chats.map(chat => [chat._id.toString(), chat]));
+
+        if (chatId && !chatsById.has(chatId)) {
+            return res.status(403).json({ message: 'Not authorized to search this chat' });
+        }
+
+        const filter = {
+            $text: { $search: q.trim() },
+            chat: chatId ? chatId : { $in: chats.map(chat => chat._id) },
+            isSystemMessage: { $ne: true },
+            isDeleted: { $ne: true },
+            ...notExpired(),
+        };
+        if (senderId) {
+            filter.sender = senderId;
+        }
+        if (fromDate || toDate) {
+            filter.createdAt = {};
+            if (fromDate) filter.createdAt.$gte = fromDate;
+            if (toDate) filter.createdAt.$lte = toDate;
+        }
+        if (hasMedia === 'true') {
+            filter.mediaUrl = { $ne: null };
+        } else if (hasMedia === 'false') {
+            filter.mediaUrl = null;
+        }
+
+        const [messages, total] = await Promise.all([
+            Message.find(filter, { score: { $meta: 'textScore' } })
+                .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('sender', 'username profilePicture')
+                .lean(),
+            Message.countDocuments(filter),
+        ]);
+
+        const results = messages.map(message => {
+            const chat = chatsById.get(message.chat.toString());
+            const recipient = chat.type === 'private'
+                ? chat.participants.find(p => p._id.toString() !== req.user._id.toString())
+                : null;
+
+            return {
+                _id: message._id.toString(),
+                score: message.score,
+                snippet: buildSnippet(message.content, q),
+                sender: message.sender ? {
+                    _id: message.sender._id.toString(),
+                    username: message.sender.username,
+                    profilePicture: message.sender.profilePicture || null,
+                } : null,
+                mediaUrl: toMediaUrl(message),
+                mediaType: message.mediaType,
+                createdAt: message.createdAt.toISOString(),
+                chat: {
+                    _id: chat._id.toString(),
+                    name: chat.name,
+                    type: chat.type,
+                    recipient: recipient ? {
+                        _id: recipient._id.toString(),
+                        username: recipient.username,
+                        profilePicture: recipient.profilePicture || null,
+                    } : null,
+                },
+            };
+        });
+
+        res.status(200).json({ results, total, page, limit, hasMore: page * limit < total });
+    } catch (error) {
+        console.error('Error searching messages:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
 
 router.get('/:chatId', protect, async (req, res) => {
     try {
@@ -18,11 +129,17 @@ router.get('/:chatId', protect, async (req, res) => {
             return res.status(403).json({ message: 'Not authorized to view messages in this chat' });
         }
 
-        const messages = await Message.find({ chat: chatId })
-            .populate('sender', 'username profilePicture') 
-            .sort('timestamp'); 
+        const pageQuery = parsePageQuery(req.query);
+        if (pageQuery.error) {
+            return res.status(400).json({ message: pageQuery.error });
+        }
 
-        res.status(200).json(messages);
+        const page = await fetchMessagePage(chat._id, { ...pageQuery, excludeSenders: hiddenSendersFor(req.user, chat) });
+        if (!page) {
+            return res.status(404).json({ message: 'Cursor message not found in this chat' });
+        }
+
+        res.status(200).json(page);
     } catch (error) {
         console.error('Error fetching messages:', error);
         res.status(500).json({ message: 'Server error' });
@@ -47,13 +164,20 @@ router.post('/', protect, async (req, res) => {
             return res.status(403).json({ message: 'Not authorized to send message in this chat' });
         }
 
+        const rejection = await checkCanSend(chat, req.user);
+        if (rejection) {
+            return res.status(rejection.status).json(formatSendRejection(rejection));
+        }
+
         const newMessage = new Message({
             chat: chatId,
             sender: req.user._id,
             content,
+            expiresAt: messageExpiry(chat),
         });
 
         const savedMessage = await newMessage.save();
+        await resurfaceChat(chat._id);
 
         chat.lastMessage = {
             sender: savedMessage.sender,
@@ -0,0 +1,193 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const authMiddleware = require('../middleware/auth');
+const { findReplyTarget } = require('../utils/replies');
+const { formatScheduledMessage, scheduleDelivery, unscheduleDelivery } = require('../utils/messageScheduler');
+
+const MAX_PENDING_PER_USER = 100;
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+
+// sendAt must be a valid date in the future, at most a year ahead. resolves to { sendAt } or { error }
+const parseSendAt = (value) => {
+    const sendAt = new Date(value);
+    if (value === undefined || value === null || Number.isNaN(sendAt.getTime())) {
+        return { error: 'sendAt must be a valid date.' };
+    }
+    if (sendAt.getTime() <= Date.now()) {
+        return { error: 'sendAt must be in the future.' };
+    }
+    if (sendAt.getTime() - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+        return { error: 'messages can be scheduled at most one year ahead.' };
+    }
+    return { sendAt };
+};
+
+const isValidContent = (content) => typeof content === 'string' && content.trim() !== '';
+
+// load one of the caller's pending scheduled messages. sends the error response itself and resolves to null otherwise
+const loadPendingJob = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400).json({ message: 'invalid scheduled message id format.' });
+        return null;
+    }
+
+    const job = await ScheduledMessage.findOne({ _id: req.params.id, sender: req.user.id });
+    if (!job) {
+        res.status(404).json({ message: 'scheduled message not found.' });
+        return null;
+    }
+    if (job.status !== 'pending') {
+        res.status(409).json({ message: `this message can no longer be changed, it is ${job.status}.`, code: 'NOT_PENDING' });
+        return null;
+    }
+    return job;
+};
+
+// schedule a message: { chatId, content, sendAt, replyTo? }
+router.post('/', authMiddleware, async (req, res) => {
+    const { chatId, content, sendAt: sendAtInput, replyTo } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        return res.status(400).json({ message: 'invalid chat id format.' });
+    }
+    if (!isValidContent(content)) {
+        return res.status(400).json({ message: 'scheduled message content cannot be empty.' });
+    }
+    const { sendAt, error } = parseSendAt(sendAtInput);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        const chat = await Chat.findById(chatId).select('participants');
+        if (!chat) {
+            return res.status(404).json({ message: 'chat not found.' });
+        }
+        if (!chat.participants.some(p => p.toString() === req.user.id.toString())) {
+            return res.status(403).json({ message: 'not authorized to send messages to this chat.' });
+        }
+
+        if (replyTo) {
+            const replyTarget = await findReplyTarget(chatId, replyTo);
+            if (replyTarget.error) {
+                return res.status(replyTarget.status).json({ message: replyTarget.error });
+            }
+        }
+
+        const pendingCount = await ScheduledMessage.countDocuments({ sender: req.user.id, status: 'pending' });
+        if (pendingCount >= MAX_PENDING_PER_USER) {
+            return res.status(409).json({
+                message: `you can have at most ${MAX_PENDING_PER_USER} scheduled messages waiting.`,
+                code: 'SCHEDULE_LIMIT_REACHED',
+            });
+        }
+
+        const job = await ScheduledMessage.create({
+            chat: chatId,
+            sender: req.user.id,
+            content: content.trim(),
+            replyTo: replyTo || null,
+            sendAt,
+        });
+        scheduleDelivery(job);
+
+        res.status(201).json(formatScheduledMessage(job));
+    } catch (err) {
+        res.status(500).json({ message: 'server error scheduling message.', error: err.message });
+    }
+});
+
+// the caller's pending scheduled messages, soonest first. ?chatId= narrows it to one chat
+router.get('/', authMiddleware, async (req, res) => {
+    const filter = { sender: req.user.id, status: 'pending' };
+
+    if (req.query.chatId !== undefined) {
+        if (!mongoose.Types.ObjectId.isValid(req.query.chatId)) {
+            return res.status(400).json({ message: 'invalid chat id format.' });
+        }
+        filter.chat = req.query.chatId;
+    }
+
+    try {
+        const jobs = await ScheduledMessage.find(filter).sort({ sendAt: 1 });
+        res.status(200).json(jobs.map(formatScheduledMessage));
+    } catch (err) {
+        res.status(500).json({ message: 'server error fetching scheduled messages.', error: err.message });
+    }
+});
+
+// change the text or the send time of a pending message: { content?, sendAt? }
+router.patch('/:id', authMiddleware, async (req, res) => {
+    const { content, sendAt: sendAtInput } = req.body || {};
+
+    if (content === undefined && sendAtInput === undefined) {
+        return res.status(400).json({ message: 'nothing to update.' });
+    }
+    if (content !== undefined && !isValidContent(content)) {
+        return res.status(400).json({ message: 'scheduled message content cannot be empty.' });
+    }
+
+    const updates = {};
+    if (content !== undefined) {
+        updates.content = content.trim();
+    }
+    if (sendAtInput !== undefined) {
+        const { sendAt, error } = parseSendAt(sendAtInput);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        updates.sendAt = sendAt;
+    }
+
+    try {
+        const existing = await loadPendingJob(req, res);
+        if (!existing) {
+            return;
+        }
+
+        // only while still pending, so an edit can't race the scheduler claiming the job
+        const job = await ScheduledMessage.findOneAndUpdate(
+            { _id: existing._id, status: 'pending' },
+            updates,
+            { new: true }
+        );
+        if (!job) {
+            return res.status(409).json({ message: 'this message is already being sent.', code: 'NOT_PENDING' });
+        }
+        if (updates.sendAt) {
+            scheduleDelivery(job);
+        }
+
+        res.status(200).json(formatScheduledMessage(job));
+    } catch (err) {
+        res.status(500).json({ message: 'server error updating scheduled message.', error: err.message });
+    }
+});
+
+router.delete('/:id', authMiddleware, async (req, res) => {
+    try {
+        const existing = await loadPendingJob(req, res);
+        if (!existing) {
+            return;
+        }
+
+        const job = await ScheduledMessage.findOneAndUpdate(
+            { _id: existing._id, status: 'pending' },
+            { status: 'cancelled' },
+            { new: true }
+        );
+        if (!job) {
+            return res.status(409).json({ message: 'this message is already being sent.', code: 'NOT_PENDING' });
+        }
+        unscheduleDelivery(job._id);
+
+        res.status(200).json({ message: 'scheduled message cancelled.', scheduledMessage: formatScheduledMessage(job) });
+    } catch (err) {
+        res.status(500).json({ message: 'server error cancelling scheduled message.', error: err.message });
+    }
+});
+
+module.exports = router;
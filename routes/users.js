@@ -1,38 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const ContactRequest = require('../models/ContactRequest');
 const protect = require('../middleware/auth');
 const bcrypt = require('bcryptjs');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
+const mongoose = require('mongoose');
+const { issueAuthToken } = require('../utils/authTokens');
+const { sendMail } = require('../mail');
+const { emailVerificationMail } = require('../mail/templates');
+const { hasBlocked } = require('../utils/blocks');
+const createImageUpload = require('../middleware/imageUpload');
+const verifyUpload = require('../middleware/verifyUpload');
+const storeUpload = require('../middleware/storeUpload');
+const { removeUploadedFile, absoluteUploadUrl } = require('../utils/uploadedFiles');
 
 
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const uploadPath = path.join(__dirname, '../uploads/profile_pictures');
-        fs.mkdirSync(uploadPath, { recursive: true });
-        cb(null, uploadPath);
-    },
-    filename: (req, file, cb) => {
-        cb(null, `${req.user._id}-${Date.now()}${path.extname(file.originalname)}`);
-    }
-});
-
-const upload = multer({
-    storage: storage,
-    limits: { fileSize: 5 * 1024 * 1024 },
-    fileFilter: (req, file, cb) => {
-        const filetypes = /jpeg|jpg|png|gif/;
-        const mimetype = filetypes.test(file.mimetype);
-        const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
-
-        if (mimetype && extname) {
-            return cb(null, true);
-        }
-        cb(new Error('Only images (jpeg, jpg, png, gif) are allowed!'));
-    }
-});
+const upload = createImageUpload();
 
 
 router.get('/search', protect, async (req, res) => {
@@ -49,14 +32,67 @@ router.get('/search', protect, async (req, res) => {
 
         const regex = new RegExp('^' + escapeRegex(searchQuery), 'i');
 
-        const users = await User.find({ username: { $regex: regex } }).select('-password');
-
-        res.json(users);
+        // users who blocked the searcher don't show up for them
+        const users = await User.find({ username: { $regex: regex }, blockedUsers: { $ne: req.user._id } })
+            // public profile fields only, never contacts, email or settings
+            .select('username profilePicture profilePictureThumbnail onlineStatus lastSeen')
+            .lean();
+
+        // flag existing contacts and pending requests in either direction
+        const contactIds = new Set((req.user.contacts || []).map(id => id.toString()));
+        const pendingRequests = await ContactRequest.find({
+            $or: [
+                { from: req.user._id, to: { $in: users.map(u => u._id) } },
+                { to: req.user._id, from: { $in: users.map(u => u._id) } },
+            ]
+        }).lean();
+        const requestByUser = new Map(pendingRequests.map(request => {
+            const outgoing = request.from.toString() === req.user._id.toString();
+            const otherId = outgoing ? request.to.toString() : request.from.toString();
+            return [otherId, { _id: request._id.toString(), direction: outgoing ? 'outgoing' : 'incoming' }];
+        }));
+
+        res.json(users.map(user => ({
+            ...user,
+            isContact: contactIds.has(user._id.toString()),
+            isBlocked: hasBlocked(req.user, user._id),
+            contactRequest: requestByUser.get(user._id.toString()) || null,
+        })));
     } catch (err) {
         res.status(500).send('Server Error');
     }
 });
 
+router.get('/presence', protect, async (req, res) => {
+    const ids = (req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+
+    if (ids.length === 0) {
+        return res.status(400).json({ message: 'At least one user id is required.' });
+    }
+    if (ids.length > 200) {
+        return res.status(400).json({ message: 'Too many user ids, the limit is 200.' });
+    }
+    if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ message: 'Invalid user id format.' });
+    }
+
+    try {
+        const users = await User.find({ _id: { $in: ids } }).select('onlineStatus lastSeen blockedUsers').lean();
+
+        // a user who blocked the requester always looks offline to them
+        res.json(users.map(user => {
+            const hidden = hasBlocked(user, req.user._id);
+            return {
+                userId: user._id.toString(),
+                online: hidden ? false : (user.onlineStatus || false),
+                lastSeen: hidden || !user.lastSeen ? null : user.lastSeen.toISOString(),
+            };
+        }));
+    } catch (error) {
+        res.status(500).json({ message: 'Server error fetching presence.' });
+    }
+});
+
 router.get('/me', protect, async (req, res) => {
     if (!req.user) {
         return res.status(401).json({ message: 'Not authorized, user data not found' });
@@ -67,12 +103,30 @@ router.get('/me', protect, async (req, res) => {
         username: req.user.username,
         email: req.user.email,
         profilePicture: req.user.profilePicture || null,
+        profilePictureThumbnail: req.user.profilePictureThumbnail || null,
+        emailVerified: req.user.emailVerified !== false,
+        hideNameOnForward: req.user.hideNameOnForward === true,
     });
 });
 
+// privacy settings: { hideNameOnForward } hides the sender on forwarded copies of the user's messages
+router.put('/privacy', protect, async (req, res) => {
+    const { hideNameOnForward } = req.body || {};
+    if (typeof hideNameOnForward !== 'boolean') {
+        return res.status(400).json({ message: 'hideNameOnForward must be true or false.' });
+    }
+
+    try {
+        await User.updateOne({ _id: req.user._id }, { hideNameOnForward });
+        res.json({ message: 'Privacy settings updated.', hideNameOnForward });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error updating privacy settings.' });
+    }
+});
 
 
-router.put('/profile-picture', protect, upload.single('profilePicture'), async (req, res) => {
+
+router.put('/profile-picture', protect, upload.single('profilePicture'), verifyUpload(['image'], { thumbnails: true }), storeUpload('profile_pictures'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ message: 'No file uploaded.' });
@@ -83,21 +137,22 @@ router.put('/profile-picture', protect, upload.single('profilePicture'), async (
             return res.status(404).json({ message: 'User not found' });
         }
 
-        if (user.profilePicture && user.profilePicture !== '/uploads/profile_pictures/default.png') {
-            const oldImagePath = path.join(__dirname, '..', user.profilePicture.replace(/^\/+/, ''));
-            fs.unlink(oldImagePath, (err) => {
-                if (err) {
-                } else {
-                }
-            });
+        const oldPicture = user.profilePicture && new URL(user.profilePicture, 'http://placeholder').pathname;
+        if (oldPicture && oldPicture !== '/uploads/profile_pictures/default.png') {
+            removeUploadedFile(user.profilePicture);
         }
+        removeUploadedFile(user.profilePictureThumbnail);
 
-        // Store relative path (e.g., /uploads/profile_pictures/filename.png) for frontend to fetch from backend
-        const relativePath = `/uploads/profile_pictures/${req.file.filename}`;
-        user.profilePicture = req.protocol + '://' + req.get('host') + relativePath;
+        // Store absolute urls (e.g., http://host/uploads/profile_pictures/filename.png) for frontend to fetch from backend
+        user.profilePicture = absoluteUploadUrl(req, req.file.url);
+        user.profilePictureThumbnail = absoluteUploadUrl(req, req.file.media.thumbnailUrl);
         await user.save();
 
-        res.json({ message: 'Profile picture updated successfully!', profilePicture: user.profilePicture });
+        res.json({
+            message: 'Profile picture updated successfully!',
+            profilePicture: user.profilePicture,
+            profilePictureThumbnail: user.profilePictureThumbnail,
+        });
     } catch (error) {
         res.status(500).json({ message: error.message || 'Failed to update profile picture.' });
     }
@@ -192,10 +247,20 @@ router.put('/email', protect, async (req, res) => {
             return res.status(409).json({ message: 'Email is already registered.' });
         }
 
+        // a new address has to be confirmed again
         user.email = email;
+        user.emailVerified = false;
+        user.emailVerifiedAt = null;
         await user.save();
 
-        res.json({ message: 'Email updated successfully!', email: user.email });
+        try {
+            const { token } = await issueAuthToken(user, 'email_verification');
+            await sendMail(emailVerificationMail(user, token));
+        } catch (mailError) {
+            console.error('Failed to send verification email:', mailError.message);
+        }
+
+        res.json({ message: 'Email updated successfully! Please verify the new address.', email: user.email, emailVerified: false });
     } catch (error) {
         res.status(500).json({ message: error.message || 'Failed to update email.' });
     }
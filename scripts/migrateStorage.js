@@ -0,0 +1,108 @@
+/*
+ * copy every stored upload from one storage driver to another and point the database at the new urls.
+ *
+ *   npm run migrate:storage -- --from local --to s3 [--delete-source] [--base-url https://api.example.com]
+ *
+ * both drivers are configured from the environment (.env) exactly as the server would configure them.
+ * files are matched by url, so forwarded copies sharing one upload are moved once. --base-url is used for
+ * profile pictures and group avatars when the target hands out relative urls (the local driver does),
+ * since those fields are stored as absolute urls. running it again only picks up what is left
+ */
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const { createStorageDriver } = require('../storage');
+
+dotenv.config();
+
+// every field that holds a storage url. `absolute` fields keep absolute urls after the move
+const REFERENCES = [
+    { model: Message, field: 'mediaUrl', absolute: false },
+    { model: Message, field: 'mediaInfo.thumbnailUrl', absolute: false },
+    { model: User, field: 'profilePicture', absolute: true },
+    { model: User, field: 'profilePictureThumbnail', absolute: true },
+    { model: Chat, field: 'avatar', absolute: true },
+];
+
+const parseArgs = (argv) => {
+    const args = { deleteSource: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--delete-source') {
+            args.deleteSource = true;
+        } else if (['--from', '--to', '--base-url'].includes(arg)) {
+            args[arg.slice(2).replace(/-(\w)/g, (match, letter) => letter.toUpperCase())] = argv[++i];
+        } else {
+            throw new Error(`unknown argument "${arg}"`);
+        }
+    }
+    if (!args.from || !args.to) {
+        throw new Error('usage: migrateStorage --from <driver> --to <driver> [--delete-source] [--base-url <url>]');
+    }
+    if (args.from === args.to) {
+        throw new Error('--from and --to must name different drivers');
+    }
+    return args;
+};
+
+const migrate = async ({ from, to, deleteSource, baseUrl }) => {
+    const source = createStorageDriver(from);
+    const target = createStorageDriver(to);
+    const totals = { moved: 0, missing: 0, failed: 0 };
+
+    for (const { model, field, absolute } of REFERENCES) {
+        const urls = (await model.distinct(field)).filter(Boolean);
+
+        for (const url of urls) {
+            const key = source.keyFor(url);
+            if (!key) {
+                continue;
+            }
+
+            try {
+                const { body, contentType } = await source.get(key);
+                let newUrl = await target.put(key, body, contentType);
+                if (absolute && newUrl.startsWith('/') && baseUrl) {
+                    newUrl = `${baseUrl.replace(/\/+$/, '')}${newUrl}`;
+                }
+
+                await model.updateMany({ [field]: url }, { $set: { [field]: newUrl } });
+                if (deleteSource) {
+                    await source.remove(key);
+                }
+                totals.moved += 1;
+                console.log(`moved ${key}`);
+            } catch (err) {
+                // a reference to a file that is already gone can't be moved, but shouldn't stop the rest
+                if (err.code === 'ENOENT' || err.name === 'NoSuchKey') {
+                    totals.missing += 1;
+                    console.warn(`missing ${key} (${model.modelName}.${field}), left as is`);
+                } else {
+                    totals.failed += 1;
+                    console.error(`failed to move ${key}:`, err.message);
+                }
+            }
+        }
+    }
+
+    return totals;
+};
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    await mongoose.connect(process.env.MONGODB_URI);
+    try {
+        const totals = await migrate(args);
+        console.log(`done: ${totals.moved} moved, ${totals.missing} missing, ${totals.failed} failed`);
+        process.exitCode = totals.failed > 0 ? 1 : 0;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -1,70 +1,108 @@
-const Message = require('../models/Message'); // Import Message model
 const Chat = require('../models/Chat'); // Import Chat model
 
-const chatSocketHandler = (io, socket) => {
-    // When a user joins a specific chat room
-    socket.on('joinChat', (chatId) => {
-        socket.join(chatId);
-        console.log(`User ${socket.id} joined chat room: ${chatId}`);
-    });
+// How long a typing indicator lives without being refreshed by another 'typing' event
+const TYPING_TIMEOUT_MS = 5000;
+
+// chatId -> Map(userId -> { username, socketId, timer })
+const typingByChat = new Map();
+
+const typingUsers = (chatId) => Array.from((typingByChat.get(chatId) || new Map()).entries())
+    .map(([userId, entry]) => ({ _id: userId, username: entry.username }));
+
+// Everyone in the chat room gets the full list, so group chats can show several people typing at once
+const emitTypingUpdate = (io, chatId) => {
+    io.to(chatId).emit('typing_update', { chatId, users: typingUsers(chatId) });
+};
+
+// Stop showing a user as typing in a chat. Safe to call when they are not typing
+const clearTyping = (io, chatId, userId) => {
+    chatId = chatId.toString();
+    userId = userId.toString();
 
-    // When a user sends a message
-    socket.on('sendMessage', async (data) => {
-        const { chatId, senderId, content, type = 'text', fileUrl = null } = data;
-        console.log(`Message received for chat ${chatId} from ${senderId}: ${content}`);
+    const chatTyping = typingByChat.get(chatId);
+    if (!chatTyping || !chatTyping.has(userId)) {
+        return;
+    }
+
+    clearTimeout(chatTyping.get(userId).timer);
+    chatTyping.delete(userId);
+    if (chatTyping.size === 0) {
+        typingByChat.delete(chatId);
+    }
+    emitTypingUpdate(io, chatId);
+};
+
+// Take users' sockets out of a chat room once they are no longer participants, so its events stop reaching them
+const removeFromChatRoom = (io, chatId, userIds) => {
+    if (!io) {
+        return;
+    }
+    userIds.forEach(userId => io.in(`user_${userId.toString()}`).socketsLeave(chatId.toString()));
+};
+
+const chatSocketHandler = (io, socket) => {
+    // Handle typing indicator. The typist is always the authenticated socket user
+    socket.on('typing', async ({ chatId } = {}) => {
+        if (!chatId || !socket.user) {
+            return;
+        }
+        chatId = chatId.toString();
+        const userId = socket.user._id.toString();
 
         try {
-            // Save message to database
-            const newMessage = new Message({
-                chat: chatId,
-                sender: senderId,
-                content,
-                type,
-                fileUrl
-            });
-            await newMessage.save();
-
-            // Update last message in chat
-            await Chat.findByIdAndUpdate(chatId, {
-                lastMessage: {
-                    sender: senderId,
-                    content: content,
-                    timestamp: newMessage.timestamp
+            // Only check membership when the indicator starts, not on every keystroke refresh
+            if (!typingByChat.get(chatId)?.has(userId)) {
+                const isParticipant = await Chat.exists({ _id: chatId, participants: userId });
+                if (!isParticipant) {
+                    return;
                 }
-            });
+            }
 
-            // Populate sender details for the emitted message
-            const populatedMessage = await Message.findById(newMessage._id).populate('sender', 'username profilePicture');
+            // Read the map again after the await: another event for the same user may have started the
+            // indicator meanwhile, and its timer must not be left running
+            const chatTyping = typingByChat.get(chatId) || new Map();
+            typingByChat.set(chatId, chatTyping);
+            const existing = chatTyping.get(userId);
+            if (existing) {
+                clearTimeout(existing.timer);
+            }
 
-            // Emit message to all clients in the chat room
-            io.to(chatId).emit('receiveMessage', populatedMessage);
-            console.log(`Message emitted to chat ${chatId}`);
+            chatTyping.set(userId, {
+                username: socket.user.username,
+                socketId: socket.id,
+                timer: setTimeout(() => clearTyping(io, chatId, userId), TYPING_TIMEOUT_MS),
+            });
 
+            if (!existing) {
+                emitTypingUpdate(io, chatId);
+            }
         } catch (error) {
-            console.error('Error saving or emitting message:', error);
-            socket.emit('messageError', { chatId, error: 'Failed to send message' });
+            console.error('Error handling typing indicator:', error);
         }
     });
 
-    // Handle typing indicator
-    socket.on('typing', (data) => {
-        const { chatId, username } = data;
-        socket.to(chatId).emit('userTyping', { chatId, username });
+    socket.on('stop_typing', ({ chatId } = {}) => {
+        if (!chatId || !socket.user) {
+            return;
+        }
+        clearTyping(io, chatId, socket.user._id);
     });
 
-    // Handle message read receipt
-    socket.on('readMessage', async (data) => {
-        const { messageId, userId } = data;
-        try {
-            const message = await Message.findById(messageId);
-            if (message && !message.readBy.includes(userId)) {
-                message.readBy.push(userId);
-                await message.save();
-            }
-        } catch (error) {
-            console.error('Error marking message as read:', error);
+    // Drop any indicators this connection started
+    socket.on('disconnect', () => {
+        if (!socket.user) {
+            return;
         }
+        const userId = socket.user._id.toString();
+        Array.from(typingByChat.entries()).forEach(([chatId, chatTyping]) => {
+            const entry = chatTyping.get(userId);
+            if (entry && entry.socketId === socket.id) {
+                clearTyping(io, chatId, userId);
+            }
+        });
     });
 };
 
-module.exports = chatSocketHandler;
\ No newline at end of file
+module.exports = chatSocketHandler;
+module.exports.clearTyping = clearTyping;
+module.exports.removeFromChatRoom = removeFromChatRoom;
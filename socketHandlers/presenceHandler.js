@@ -0,0 +1,90 @@
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+
+// userId -> number of open sockets, so a user stays online while any of their devices is connected
+const openSockets = new Map();
+
+const isOnline = (userId) => openSockets.has(userId.toString());
+
+// everyone who should hear about this user's presence: their contacts and anyone they share a chat with
+const getPresenceAudience = async (userId) => {
+    const [user, chats] = await Promise.all([
+        User.findById(userId).select('contacts blockedUsers').lean(),
+        Chat.find({ participants: userId }).select('participants').lean(),
+    ]);
+
+    const audience = new Set();
+    (user?.contacts || []).forEach(id => audience.add(id.toString()));
+    chats.forEach(chat => chat.participants.forEach(id => audience.add(id.toString())));
+    audience.delete(userId.toString());
+    // blocked users stop receiving this user's presence
+    (user?.blockedUsers || []).forEach(id => audience.delete(id.toString()));
+    return audience;
+};
+
+const broadcastPresence = async (io, userId, online, lastSeen) => {
+    const audience = await getPresenceAudience(userId);
+    const payload = {
+        userId: userId.toString(),
+        online,
+        lastSeen: lastSeen ? lastSeen.toISOString() : null,
+    };
+    audience.forEach(id => io.to(`user_${id}`).emit('presence_changed', payload));
+};
+
+// clear online flags left behind by a previous process that did not shut down cleanly
+const resetPresence = () => User.updateMany({ onlineStatus: true }, { onlineStatus: false });
+
+// on a quick disconnect/reconnect the online and offline writes can land in either order. once one has
+// landed, put the stored flag right if it no longer matches the sockets that are actually open
+const reconcilePresence = async (userId, written) => {
+    const online = isOnline(userId);
+    if (online !== written) {
+        await User.updateOne({ _id: userId }, { onlineStatus: online });
+    }
+    return online === written;
+};
+
+const presenceSocketHandler = (io, socket) => {
+    if (!socket.user) {
+        return;
+    }
+    const userId = socket.user._id.toString();
+
+    const connections = (openSockets.get(userId) || 0) + 1;
+    openSockets.set(userId, connections);
+
+    // only the first device to connect flips the user online
+    if (connections === 1) {
+        User.updateOne({ _id: userId }, { onlineStatus: true })
+            .then(() => reconcilePresence(userId, true))
+            .then((stillOnline) => {
+                if (stillOnline) {
+                    return broadcastPresence(io, userId, true, null);
+                }
+            })
+            .catch(error => console.error(`[presence] failed to mark ${userId} online:`, error));
+    }
+
+    socket.on('disconnect', () => {
+        const remaining = (openSockets.get(userId) || 1) - 1;
+        if (remaining > 0) {
+            openSockets.set(userId, remaining);
+            return;
+        }
+        openSockets.delete(userId);
+
+        const lastSeen = new Date();
+        User.updateOne({ _id: userId }, { onlineStatus: false, lastSeen })
+            .then(() => reconcilePresence(userId, false))
+            .then((stillOffline) => {
+                // the user may have reconnected while the write was in flight
+                if (stillOffline) {
+                    return broadcastPresence(io, userId, false, lastSeen);
+                }
+            })
+            .catch(error => console.error(`[presence] failed to mark ${userId} offline:`, error));
+    });
+};
+
+module.exports = { presenceSocketHandler, isOnline, resetPresence };
@@ -0,0 +1,44 @@
+const os = require('os');
+const path = require('path');
+const createLocalDriver = require('./localDriver');
+
+/*
+ * every driver exposes the same interface:
+ * { name, put(key, body, contentType) -> Promise<url>, putFile(key, filePath, contentType) -> Promise<url>, get(key) -> Promise<{ body, contentType }>,
+ *   stat(key) -> Promise<{ size, contentType }>, createReadStream(key, { start?, end? }) -> Promise<Readable>,
+ *   remove(key) -> Promise, urlFor(key) -> url, keyFor(url) -> key or null for urls it doesn't own }
+ * keys look like "chat_media/media-1700000000000.png". the database stores the url the driver returned
+ */
+const drivers = {
+    local: createLocalDriver,
+    // the aws sdk is only loaded when the s3 driver is actually used
+    s3: () => require('./s3Driver')()
+};
+
+let storage = null;
+
+const createStorageDriver = (name) => {
+    const create = drivers[name];
+    if (!create) {
+        throw new Error(`unknown storage driver "${name}". expected one of: ${Object.keys(drivers).join(', ')}`);
+    }
+    return create();
+};
+
+// pick the driver named by STORAGE_DRIVER. without one, files stay on local disk under uploads/
+const getStorage = () => {
+    if (!storage) {
+        storage = createStorageDriver(process.env.STORAGE_DRIVER || 'local');
+    }
+    return storage;
+};
+
+// swap the driver at runtime, e.g. to keep files in memory in tests
+const setStorage = (customStorage) => {
+    storage = customStorage;
+};
+
+// multer writes incoming files here. storeUpload moves them to the driver once they have been checked
+const uploadTempDir = () => path.resolve(process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), 'nexttalk-uploads'));
+
+module.exports = { getStorage, setStorage, createStorageDriver, uploadTempDir };
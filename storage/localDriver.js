@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.mov': 'video/quicktime',
+    '.qt': 'video/quicktime',
+    '.webm': 'video/webm',
+    '.avi': 'video/x-msvideo',
+    '.mp3': 'audio/mpeg',
+    '.m4a': 'audio/mp4',
+    '.aac': 'audio/aac',
+    '.ogg': 'audio/ogg',
+    '.oga': 'audio/ogg',
+    '.opus': 'audio/ogg',
+    '.wav': 'audio/wav',
+    '.flac': 'audio/flac',
+    '.pdf': 'application/pdf',
+    '.zip': 'application/zip',
+    '.txt': 'text/plain'
+};
+
+// files on this server's disk (STORAGE_LOCAL_DIR, default ./uploads), served by index.js under /uploads
+const createLocalDriver = () => {
+    const root = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', 'uploads'));
+
+    // keys never leave the storage root
+    const filePathFor = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`invalid storage key "${key}"`);
+        }
+        return filePath;
+    };
+
+    const urlFor = (key) => `/uploads/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+    return {
+        name: 'local',
+        root,
+
+        put: async (key, body) => {
+            const filePath = filePathFor(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, body);
+            return urlFor(key);
+        },
+
+        putFile: async (key, sourcePath) => {
+            const filePath = filePathFor(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.copyFile(sourcePath, filePath);
+            return urlFor(key);
+        },
+
+        get: async (key) => ({
+            body: await fs.promises.readFile(filePathFor(key)),
+            contentType: CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream'
+        }),
+
+        stat: async (key) => {
+            const { size } = await fs.promises.stat(filePathFor(key));
+            return { size, contentType: CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream' };
+        },
+
+        // `start` and `end` are inclusive byte offsets, as in an http range
+        createReadStream: async (key, { start, end } = {}) => fs.createReadStream(filePathFor(key), { start, end }),
+
+        // removing a file that is already gone is not an error
+        remove: async (key) => {
+            await fs.promises.unlink(filePathFor(key)).catch((err) => {
+                if (err.code !== 'ENOENT') {
+                    throw err;
+                }
+            });
+        },
+
+        urlFor,
+
+        // accepts both relative urls and the absolute ones stored for profile pictures and group avatars
+        keyFor: (url) => {
+            if (!url) {
+                return null;
+            }
+            const { pathname } = new URL(url, 'http://placeholder');
+            if (!pathname.startsWith('/uploads/')) {
+                return null;
+            }
+            return decodeURIComponent(pathname.slice('/uploads/'.length));
+        }
+    };
+};
+
+module.exports = createLocalDriver;
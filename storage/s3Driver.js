@@ -0,0 +1,104 @@
+const fs = require('fs');
+const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+/*
+ * objects in an s3-compatible bucket, configured with the S3_* environment variables. with S3_ENDPOINT set
+ * (e.g. http://localhost:9000 for a local MinIO) requests are path-style. S3_PUBLIC_URL is where clients
+ * fetch objects from and defaults to the bucket's own url. only profile_pictures/ and group_avatars/ should
+ * be publicly readable in the bucket policy; chat media is streamed through /api/media
+ */
+const createS3Driver = () => {
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+        throw new Error('the s3 storage driver needs S3_BUCKET');
+    }
+    const region = process.env.S3_REGION || 'us-east-1';
+    const endpoint = process.env.S3_ENDPOINT;
+    const forcePathStyle = process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE === 'true'
+        : Boolean(endpoint);
+
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        credentials: process.env.S3_ACCESS_KEY_ID ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        } : undefined
+    });
+
+    const defaultPublicUrl = endpoint
+        ? `${endpoint.replace(/\/+$/, '')}/${bucket}`
+        : `https://${bucket}.s3.${region}.amazonaws.com`;
+    const publicUrl = (process.env.S3_PUBLIC_URL || defaultPublicUrl).replace(/\/+$/, '');
+
+    const urlFor = (key) => `${publicUrl}/${encodeKey(key)}`;
+
+    return {
+        name: 's3',
+        client,
+        bucket,
+
+        put: async (key, body, contentType) => {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: body,
+                ContentType: contentType || 'application/octet-stream'
+            }));
+            return urlFor(key);
+        },
+
+        // streamed from disk. the sdk needs the length up front for a stream body
+        putFile: async (key, filePath, contentType) => {
+            const { size } = await fs.promises.stat(filePath);
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: fs.createReadStream(filePath),
+                ContentLength: size,
+                ContentType: contentType || 'application/octet-stream'
+            }));
+            return urlFor(key);
+        },
+
+        get: async (key) => {
+            const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return {
+                body: Buffer.from(await object.Body.transformToByteArray()),
+                contentType: object.ContentType || 'application/octet-stream'
+            };
+        },
+
+        stat: async (key) => {
+            const object = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+            return { size: object.ContentLength, contentType: object.ContentType || 'application/octet-stream' };
+        },
+
+        // `start` and `end` are inclusive byte offsets, as in an http range
+        createReadStream: async (key, { start, end } = {}) => {
+            const range = start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined;
+            const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key, Range: range }));
+            return object.Body;
+        },
+
+        // s3 treats deleting a missing object as success
+        remove: async (key) => {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+
+        urlFor,
+
+        keyFor: (url) => {
+            if (!url || !url.startsWith(`${publicUrl}/`)) {
+                return null;
+            }
+            return decodeURIComponent(url.slice(publicUrl.length + 1));
+        }
+    };
+};
+
+module.exports = createS3Driver;
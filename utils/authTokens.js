@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+const { hashToken } = require('./sessions');
+
+const TOKEN_TTL_MINUTES = {
+    password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60,
+    email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES, 10) || 24 * 60
+};
+
+// issue a fresh token of `type` for the user. earlier unused tokens of the same type stop working
+const issueAuthToken = async (user, type) => {
+    await AuthToken.deleteMany({ user: user._id, type, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await AuthToken.create({
+        user: user._id,
+        type,
+        tokenHash: hashToken(token),
+        email: user.email,
+        expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES[type] * 60 * 1000)
+    });
+
+    return { token, expiresInMinutes: TOKEN_TTL_MINUTES[type] };
+};
+
+// redeem a token exactly once. resolves to the token record, or null if it is unknown, used or expired
+const consumeAuthToken = (token, type) => AuthToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+);
+
+module.exports = { issueAuthToken, consumeAuthToken };
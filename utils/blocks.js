@@ -0,0 +1,53 @@
+const User = require('../models/User');
+
+const BLOCKED_ERROR = { status: 403, code: 'USER_BLOCKED' };
+
+const hasBlocked = (user, otherId) => (user.blockedUsers || []).some(id => id.toString() === otherId.toString());
+
+/*
+ * in a private chat nothing goes through while either side has blocked the other.
+ * resolves to { status, code, error } when the sender may not message this chat, otherwise null.
+ */
+const checkPrivateChatBlock = async (chat, sender) => {
+    if (chat.type !== 'private') {
+        return null;
+    }
+
+    const otherId = chat.participants.find(id => id.toString() !== sender._id.toString());
+    if (!otherId) {
+        return null;
+    }
+
+    // read both sides from the database: a socket's user document can predate the block
+    const [senderBlocked, blockedByOther] = await Promise.all([
+        User.exists({ _id: sender._id, blockedUsers: otherId }),
+        User.exists({ _id: otherId, blockedUsers: sender._id }),
+    ]);
+    if (senderBlocked) {
+        return { ...BLOCKED_ERROR, error: 'you have blocked this user. unblock them to send messages.' };
+    }
+    if (blockedByOther) {
+        return { ...BLOCKED_ERROR, error: 'this message could not be delivered.' };
+    }
+    return null;
+};
+
+// personal rooms of group members who blocked the sender and chose to hide blocked users' messages
+const hiddenReceiverRooms = async (chat, senderId) => {
+    if (chat.type !== 'group') {
+        return [];
+    }
+    const viewers = await User.find({
+        _id: { $in: chat.participants },
+        blockedUsers: senderId,
+        hideBlockedInGroups: true,
+    }).select('_id').lean();
+    return viewers.map(viewer => `user_${viewer._id.toString()}`);
+};
+
+// senders the viewer does not want to see in this chat's history
+const hiddenSendersFor = (viewer, chat) => (chat.type === 'group' && viewer.hideBlockedInGroups)
+    ? (viewer.blockedUsers || [])
+    : [];
+
+module.exports = { hasBlocked, checkPrivateChatBlock, hiddenReceiverRooms, hiddenSendersFor };
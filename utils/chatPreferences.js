@@ -0,0 +1,133 @@
+const Chat = require('../models/Chat');
+
+const MAX_PINNED_CHATS = parseInt(process.env.MAX_PINNED_CHATS, 10) || 5;
+
+const findPreferences = (chat, userId) => (chat.preferences || [])
+    .find(pref => pref.user && pref.user.toString() === userId.toString()) || null;
+
+// a mute without mutedUntil lasts until the user unmutes
+const isMuted = (pref, now = new Date()) => Boolean(pref && pref.muted && (!pref.mutedUntil || pref.mutedUntil > now));
+
+// the per-user flags GET /api/chats exposes for a chat
+const formatPreferences = (chat, userId) => {
+    const pref = findPreferences(chat, userId);
+    const muted = isMuted(pref);
+    return {
+        muted,
+        mutedUntil: muted && pref.mutedUntil ? pref.mutedUntil.toISOString() : null,
+        archived: Boolean(pref && pref.archived),
+        pinned: pref?.pinOrder !== null && pref?.pinOrder !== undefined,
+        pinOrder: pref?.pinOrder ?? null,
+        hidden: (chat.hiddenBy || []).some(id => id.toString() === userId.toString()),
+    };
+};
+
+// pinned chats first in pin order, then everything else by most recent activity
+const compareChats = (a, b) => {
+    if (a.pinned !== b.pinned) {
+        return a.pinned ? -1 : 1;
+    }
+    if (a.pinned && a.pinOrder !== b.pinOrder) {
+        return a.pinOrder - b.pinOrder;
+    }
+    return new Date(b.updatedAt) - new Date(a.updatedAt);
+};
+
+const ensurePreferences = (chatId, userId) => Chat.updateOne(
+    { _id: chatId, 'preferences.user': { $ne: userId } },
+    { $push: { preferences: { user: userId } } }
+);
+
+const pinnedChatsFilter = (userId) => ({ preferences: { $elemMatch: { user: userId, pinOrder: { $ne: null } } } });
+
+/*
+ * apply validated changes ({ muted, mutedUntil, archived, pinned, hidden }) for one user and chat.
+ * resolves to { status, error } when the pin limit is reached, otherwise the updated preferences.
+ */
+const updatePreferences = async (chat, userId, changes) => {
+    await ensurePreferences(chat._id, userId);
+
+    const set = {};
+    if (changes.muted !== undefined) {
+        set['preferences.$.muted'] = changes.muted;
+        set['preferences.$.mutedUntil'] = changes.muted ? (changes.mutedUntil || null) : null;
+    }
+    if (changes.archived !== undefined) {
+        set['preferences.$.archived'] = changes.archived;
+    }
+    if (changes.pinned !== undefined) {
+        const current = findPreferences(chat, userId);
+        const alreadyPinned = current?.pinOrder !== null && current?.pinOrder !== undefined;
+
+        if (changes.pinned && !alreadyPinned) {
+            const pinnedChats = await Chat.find(pinnedChatsFilter(userId)).select('preferences').lean();
+            if (pinnedChats.length >= MAX_PINNED_CHATS) {
+                return { status: 400, code: 'PIN_LIMIT_REACHED', error: `you can pin at most ${MAX_PINNED_CHATS} chats.` };
+            }
+            const orders = pinnedChats.map(c => findPreferences(c, userId).pinOrder);
+            set['preferences.$.pinOrder'] = orders.length ? Math.max(...orders) + 1 : 0;
+        } else if (!changes.pinned) {
+            set['preferences.$.pinOrder'] = null;
+        }
+    }
+
+    const update = {};
+    if (Object.keys(set).length) {
+        update.$set = set;
+    }
+    if (changes.hidden === true) {
+        update.$addToSet = { hiddenBy: userId };
+    } else if (changes.hidden === false) {
+        update.$pull = { hiddenBy: userId };
+    }
+
+    if (Object.keys(update).length) {
+        await Chat.updateOne({ _id: chat._id, 'preferences.user': userId }, update);
+    }
+
+    const updated = await Chat.findById(chat._id).select('preferences hiddenBy').lean();
+    return formatPreferences(updated, userId);
+};
+
+// rewrite the user's pin order to follow `chatIds`. every listed chat must already be pinned
+const reorderPins = async (userId, chatIds) => {
+    const pinnedChats = await Chat.find(pinnedChatsFilter(userId)).select('_id').lean();
+    const pinnedIds = new Set(pinnedChats.map(c => c._id.toString()));
+
+    const listedIds = new Set(chatIds.map(String));
+    if (chatIds.length !== pinnedIds.size || listedIds.size !== chatIds.length || !chatIds.every(id => pinnedIds.has(id.toString()))) {
+        return { status: 400, error: 'chatIds must list every pinned chat exactly once.' };
+    }
+
+    await Promise.all(chatIds.map((chatId, index) => Chat.updateOne(
+        { _id: chatId, 'preferences.user': userId },
+        { $set: { 'preferences.$.pinOrder': index } }
+    )));
+    return { chatIds: chatIds.map(id => id.toString()) };
+};
+
+// a new message brings the chat back for everyone who hid it, and for those who archived it without muting
+const resurfaceChat = (chatId) => {
+    const now = new Date();
+    return Chat.updateOne(
+        { _id: chatId },
+        { $set: { hiddenBy: [], 'preferences.$[pref].archived': false } },
+        {
+            arrayFilters: [{
+                'pref.archived': true,
+                $or: [{ 'pref.muted': { $ne: true } }, { 'pref.mutedUntil': { $lte: now } }]
+            }]
+        }
+    );
+};
+
+module.exports = {
+    MAX_PINNED_CHATS,
+    findPreferences,
+    isMuted,
+    formatPreferences,
+    compareChats,
+    updatePreferences,
+    reorderPins,
+    resurfaceChat,
+};
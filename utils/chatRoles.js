@@ -0,0 +1,20 @@
+// who runs a group. shared by the chat routes and the send checks
+
+const isAdmin = (chat, userId) => {
+    if (!Array.isArray(chat.admins)) {
+        return false;
+    }
+    return chat.admins.some(adminId => adminId && adminId.toString() === userId.toString());
+};
+
+// groups created before owners existed fall back to their first admin
+const getOwnerId = (chat) => {
+    if (chat.owner) {
+        return chat.owner.toString();
+    }
+    return Array.isArray(chat.admins) && chat.admins.length ? chat.admins[0].toString() : null;
+};
+
+const isOwner = (chat, userId) => getOwnerId(chat) === userId.toString();
+
+module.exports = { isAdmin, getOwnerId, isOwner };
@@ -0,0 +1,24 @@
+// timers a chat can pick, in seconds. 0 turns disappearing messages off
+const DISAPPEARING_TIMERS = {
+    0: 'off',
+    3600: '1 hour',
+    86400: '1 day',
+    604800: '1 week',
+};
+
+// when a message sent to this chat now should disappear, or null if the chat keeps messages
+const messageExpiry = (chat, sentAt = new Date()) => chat.disappearingSeconds > 0
+    ? new Date(sentAt.getTime() + chat.disappearingSeconds * 1000)
+    : null;
+
+// query condition for messages that haven't expired. the sweep removes them some time after expiresAt,
+// reads must not wait for it. messages without an expiry match too
+const notExpired = (now = new Date()) => ({ expiresAt: { $not: { $lte: now } } });
+
+const isValidTimer = (seconds) => Number.isInteger(seconds) && Object.prototype.hasOwnProperty.call(DISAPPEARING_TIMERS, seconds);
+
+const describeTimerChange = (username, seconds) => seconds > 0
+    ? `${username} set messages to disappear after ${DISAPPEARING_TIMERS[seconds]}.`
+    : `${username} turned off disappearing messages.`;
+
+module.exports = { DISAPPEARING_TIMERS, messageExpiry, notExpired, isValidTimer, describeTimerChange };
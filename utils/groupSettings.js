@@ -0,0 +1,69 @@
+// longest slow mode interval an admin can pick (6 hours), matching the Chat schema
+const MAX_SLOW_MODE_SECONDS = 21600;
+
+const BOOLEAN_SETTINGS = ['onlyAdminsCanEditInfo', 'onlyAdminsCanSend', 'membersCanAddMembers'];
+
+// group settings as clients see them. legacy chats without a setting fall back to the schema default
+const formatGroupSettings = (chat) => ({
+    onlyAdminsCanEditInfo: chat.settings?.onlyAdminsCanEditInfo !== false,
+    onlyAdminsCanSend: chat.settings?.onlyAdminsCanSend === true,
+    membersCanAddMembers: chat.settings?.membersCanAddMembers === true,
+    slowModeSeconds: chat.settings?.slowModeSeconds || 0,
+});
+
+/*
+ * pick the known settings out of a request body. resolves to { updates } or { error } so the route
+ * can reject the whole request before anything is saved.
+ */
+const parseSettingsUpdate = (body = {}) => {
+    const updates = {};
+
+    for (const key of BOOLEAN_SETTINGS) {
+        if (body[key] === undefined) {
+            continue;
+        }
+        if (typeof body[key] !== 'boolean') {
+            return { error: `${key} must be true or false.` };
+        }
+        updates[key] = body[key];
+    }
+
+    if (body.slowModeSeconds !== undefined) {
+        const seconds = body.slowModeSeconds;
+        if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_SLOW_MODE_SECONDS) {
+            return { error: `slowModeSeconds must be a whole number between 0 and ${MAX_SLOW_MODE_SECONDS}.` };
+        }
+        updates.slowModeSeconds = seconds;
+    }
+
+    if (Object.keys(updates).length === 0) {
+        return { error: 'no settings provided.' };
+    }
+    return { updates };
+};
+
+// the announcement posted to the group for one changed setting
+const describeSettingChange = (username, key, value) => {
+    switch (key) {
+        case 'onlyAdminsCanEditInfo':
+            return value
+                ? `${username} changed the group so only admins can edit group info.`
+                : `${username} changed the group so all members can edit group info.`;
+        case 'onlyAdminsCanSend':
+            return value
+                ? `${username} changed the group so only admins can send messages.`
+                : `${username} changed the group so all members can send messages.`;
+        case 'membersCanAddMembers':
+            return value
+                ? `${username} changed the group so all members can add new members.`
+                : `${username} changed the group so only admins can add new members.`;
+        case 'slowModeSeconds':
+            return value > 0
+                ? `${username} turned on slow mode: one message every ${value} seconds.`
+                : `${username} turned off slow mode.`;
+        default:
+            return null;
+    }
+};
+
+module.exports = { MAX_SLOW_MODE_SECONDS, formatGroupSettings, parseSettingsUpdate, describeSettingChange };
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const Chat = require('../models/Chat');
+const GroupInvite = require('../models/GroupInvite');
+const { postSystemMessage } = require('./systemMessages');
+
+// url-safe and long enough that codes can't be guessed
+const generateInviteCode = () => crypto.randomBytes(12).toString('base64url');
+
+// invites that can still be used right now
+const usableInviteFilter = (now = new Date()) => ({
+    revokedAt: null,
+    $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] },
+    ],
+});
+
+const isInviteUsable = (invite, now = new Date()) => !invite.revokedAt
+    && (!invite.expiresAt || invite.expiresAt > now)
+    && (invite.maxUses === null || invite.maxUses === undefined || invite.uses < invite.maxUses);
+
+// find the invite for a code and take one use of it atomically. resolves to null once it is used up
+const claimInviteUse = (code) => GroupInvite.findOneAndUpdate(
+    { code, ...usableInviteFilter() },
+    { $inc: { uses: 1 } },
+    { new: true }
+);
+
+const formatInvite = (invite) => ({
+    _id: invite._id.toString(),
+    chat: invite.chat.toString(),
+    code: invite.code,
+    createdBy: invite.createdBy.toString(),
+    expiresAt: invite.expiresAt ? invite.expiresAt.toISOString() : null,
+    maxUses: invite.maxUses ?? null,
+    uses: invite.uses,
+    requireApproval: invite.requireApproval,
+    revoked: Boolean(invite.revokedAt),
+    usable: isInviteUsable(invite),
+    createdAt: invite.createdAt.toISOString(),
+});
+
+// add a user to a group and announce it like any other membership change
+const joinGroup = async (io, chatId, user, content) => {
+    await Chat.updateOne({ _id: chatId }, { $addToSet: { participants: user._id } });
+    const chat = await Chat.findById(chatId);
+    await postSystemMessage(io, chat, user._id, content);
+    return chat;
+};
+
+module.exports = { generateInviteCode, usableInviteFilter, isInviteUsable, claimInviteUse, formatInvite, joinGroup };
@@ -0,0 +1,588 @@
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+
+// how much of a file is read to recognise it. enough for every signature below and a webm header
+const HEADER_BYTES = 64 * 1024;
+// the mp4/mov index box is read whole, but never more than this
+const MAX_MOOV_BYTES = 16 * 1024 * 1024;
+
+// every format we recognise, which kind of attachment it is, and the extensions it may be uploaded with
+// mapped to the mime type stored for that extension. `mayBeAudio` containers count as audio without a video track
+const FORMATS = {
+    jpeg: { kind: 'image', extensions: { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg' } },
+    png: { kind: 'image', extensions: { '.png': 'image/png' } },
+    gif: { kind: 'image', extensions: { '.gif': 'image/gif' } },
+    mp4: { kind: 'video', mayBeAudio: true, extensions: { '.mp4': 'video/mp4', '.m4v': 'video/mp4', '.m4a': 'audio/mp4' } },
+    mov: { kind: 'video', extensions: { '.mov': 'video/quicktime', '.qt': 'video/quicktime' } },
+    webm: { kind: 'video', mayBeAudio: true, extensions: { '.webm': 'video/webm', '.weba': 'audio/webm' } },
+    avi: { kind: 'video', extensions: { '.avi': 'video/x-msvideo' } },
+    mp3: { kind: 'audio', extensions: { '.mp3': 'audio/mpeg' } },
+    aac: { kind: 'audio', extensions: { '.aac': 'audio/aac' } },
+    ogg: { kind: 'audio', extensions: { '.ogg': 'audio/ogg', '.oga': 'audio/ogg', '.opus': 'audio/ogg' } },
+    wav: { kind: 'audio', extensions: { '.wav': 'audio/wav' } },
+    flac: { kind: 'audio', extensions: { '.flac': 'audio/flac' } },
+    pdf: { kind: 'file', extensions: { '.pdf': 'application/pdf' } },
+    // office open xml and opendocument files are zip archives underneath
+    zip: {
+        kind: 'file',
+        extensions: {
+            '.zip': 'application/zip',
+            '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+            '.odt': 'application/vnd.oasis.opendocument.text',
+            '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+            '.odp': 'application/vnd.oasis.opendocument.presentation',
+        },
+    },
+    // pre-2007 office documents share the compound file container
+    ole: {
+        kind: 'file',
+        extensions: { '.doc': 'application/msword', '.xls': 'application/vnd.ms-excel', '.ppt': 'application/vnd.ms-powerpoint' },
+    },
+    rar: { kind: 'file', extensions: { '.rar': 'application/vnd.rar' } },
+    '7z': { kind: 'file', extensions: { '.7z': 'application/x-7z-compressed' } },
+    gzip: { kind: 'file', extensions: { '.gz': 'application/gzip', '.tgz': 'application/gzip' } },
+    text: { kind: 'file', extensions: { '.txt': 'text/plain', '.csv': 'text/csv', '.md': 'text/markdown' } },
+};
+
+const startsWith = (buffer, bytes, offset = 0) => buffer.length >= offset + bytes.length
+    && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+// plain text has no signature: accept utf-8 without nul bytes. a character cut off at the end of the
+// header is fine, the decoder is told more may follow
+const looksLikeText = (header) => {
+    if (header.length === 0 || header.includes(0)) {
+        return false;
+    }
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(header, { stream: true });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// an mpeg audio layer iii frame header (mp3) at offset
+const isMp3FrameHeader = (buffer, offset) => buffer[offset] === 0xFF
+    && (buffer[offset + 1] & 0xE0) === 0xE0
+    && (buffer[offset + 1] & 0x06) === 0x02;
+
+// recognise a format from the first bytes of a file. null when it is none of FORMATS
+const detectFormat = (header) => {
+    if (startsWith(header, [0xFF, 0xD8, 0xFF])) {
+        return 'jpeg';
+    }
+    if (startsWith(header, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+        return 'png';
+    }
+    if (['GIF87a', 'GIF89a'].includes(ascii(header, 0, 6))) {
+        return 'gif';
+    }
+    if (ascii(header, 4, 8) === 'ftyp') {
+        return ascii(header, 8, 12) === 'qt  ' ? 'mov' : 'mp4';
+    }
+    if (startsWith(header, [0x1A, 0x45, 0xDF, 0xA3]) && ascii(header, 0, 64).includes('webm')) {
+        return 'webm';
+    }
+    if (ascii(header, 0, 4) === 'RIFF' && ascii(header, 8, 12) === 'AVI ') {
+        return 'avi';
+    }
+    if (ascii(header, 0, 4) === 'RIFF' && ascii(header, 8, 12) === 'WAVE') {
+        return 'wav';
+    }
+    if (ascii(header, 0, 3) === 'ID3' || isMp3FrameHeader(header, 0)) {
+        return 'mp3';
+    }
+    if (header[0] === 0xFF && (header[1] & 0xF6) === 0xF0) {
+        return 'aac';
+    }
+    if (ascii(header, 0, 4) === 'OggS') {
+        return 'ogg';
+    }
+    if (ascii(header, 0, 4) === 'fLaC') {
+        return 'flac';
+    }
+    if (ascii(header, 0, 5) === '%PDF-') {
+        return 'pdf';
+    }
+    if (startsWith(header, [0x50, 0x4B, 0x03, 0x04]) || startsWith(header, [0x50, 0x4B, 0x05, 0x06])) {
+        return 'zip';
+    }
+    if (startsWith(header, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) {
+        return 'ole';
+    }
+    if (ascii(header, 0, 6) === 'Rar!\x1A\x07') {
+        return 'rar';
+    }
+    if (startsWith(header, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C])) {
+        return '7z';
+    }
+    if (startsWith(header, [0x1F, 0x8B])) {
+        return 'gzip';
+    }
+    if (looksLikeText(header)) {
+        return 'text';
+    }
+    return null;
+};
+
+// walk iso-bmff boxes in buffer[start, end) and call visit(type, contentStart, boxEnd) for each
+const walkBoxes = (buffer, start, end, visit) => {
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        const type = ascii(buffer, offset + 4, offset + 8);
+        let headerSize = 8;
+        if (size === 1 && offset + 16 <= end) {
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize) {
+            return;
+        }
+        visit(type, offset + headerSize, Math.min(offset + size, end));
+        offset += size;
+    }
+};
+
+// find the top-level moov box, skipping over media data without reading it
+const readMoovBox = async (handle, fileSize) => {
+    const header = Buffer.alloc(16);
+    let offset = 0;
+    while (offset + 8 <= fileSize) {
+        await handle.read(header, 0, 16, offset);
+        let size = header.readUInt32BE(0);
+        let headerSize = 8;
+        if (size === 1) {
+            size = Number(header.readBigUInt64BE(8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = fileSize - offset;
+        }
+        if (size < headerSize) {
+            return null;
+        }
+        if (ascii(header, 4, 8) === 'moov') {
+            const length = Math.min(size, MAX_MOOV_BYTES);
+            const moov = Buffer.alloc(length);
+            await handle.read(moov, 0, length, offset);
+            return { buffer: moov, contentStart: headerSize };
+        }
+        offset += size;
+    }
+    return null;
+};
+
+// duration from mvhd, frame size from the first video track, and which kinds of track there are.
+// null without a moov box
+const readIsoVideoMetadata = async (handle, fileSize) => {
+    const moov = await readMoovBox(handle, fileSize);
+    if (!moov) {
+        return null;
+    }
+
+    const { buffer } = moov;
+    const metadata = { hasVideo: false, hasAudio: false };
+
+    walkBoxes(buffer, moov.contentStart, buffer.length, (type, start, end) => {
+        if (type === 'mvhd' && end - start >= 32) {
+            const version = buffer[start];
+            const timescale = buffer.readUInt32BE(start + (version === 1 ? 20 : 12));
+            const duration = version === 1
+                ? Number(buffer.readBigUInt64BE(start + 24))
+                : buffer.readUInt32BE(start + 16);
+            if (timescale > 0) {
+                metadata.duration = duration / timescale;
+            }
+        }
+        if (type !== 'trak') {
+            return;
+        }
+
+        const track = {};
+        walkBoxes(buffer, start, end, (innerType, innerStart, innerEnd) => {
+            if (innerType === 'tkhd') {
+                const sizeOffset = innerStart + (buffer[innerStart] === 1 ? 88 : 76);
+                if (sizeOffset + 8 <= innerEnd) {
+                    // 16.16 fixed point
+                    track.width = Math.round(buffer.readUInt32BE(sizeOffset) / 65536);
+                    track.height = Math.round(buffer.readUInt32BE(sizeOffset + 4) / 65536);
+                }
+            }
+            if (innerType === 'mdia') {
+                // the handler says what the track carries: vide or soun
+                walkBoxes(buffer, innerStart, innerEnd, (mdiaType, mdiaStart, mdiaEnd) => {
+                    if (mdiaType === 'hdlr' && mdiaStart + 12 <= mdiaEnd) {
+                        track.handler = ascii(buffer, mdiaStart + 8, mdiaStart + 12);
+                    }
+                });
+            }
+        });
+
+        if (track.handler === 'soun') {
+            metadata.hasAudio = true;
+        }
+        if (track.handler === 'vide' && track.width > 0 && track.height > 0) {
+            metadata.hasVideo = true;
+            if (metadata.width === undefined) {
+                metadata.width = track.width;
+                metadata.height = track.height;
+            }
+        }
+    });
+
+    return metadata;
+};
+
+// ebml variable-length integer at offset. resolves to { value, length } or null
+const readVint = (buffer, offset, keepMarker) => {
+    const first = buffer[offset];
+    if (first === undefined || first === 0) {
+        return null;
+    }
+    let length = 1;
+    while (!(first & (0x80 >> (length - 1)))) {
+        length += 1;
+    }
+    if (offset + length > buffer.length) {
+        return null;
+    }
+    let value = keepMarker ? first : first & (0xFF >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buffer[offset + i];
+    }
+    const unknownSize = !keepMarker && value === 2 ** (7 * length) - 1;
+    return { value: unknownSize ? Infinity : value, length };
+};
+
+const EBML_SEGMENT = 0x18538067;
+const EBML_INFO = 0x1549A966;
+const EBML_TIMECODE_SCALE = 0x2AD7B1;
+const EBML_DURATION = 0x4489;
+const EBML_TRACKS = 0x1654AE6B;
+const EBML_TRACK_ENTRY = 0xAE;
+const EBML_VIDEO = 0xE0;
+const EBML_AUDIO = 0xE1;
+const EBML_PIXEL_WIDTH = 0xB0;
+const EBML_PIXEL_HEIGHT = 0xBA;
+
+// only descend into the elements that lead to duration and frame size
+const EBML_CONTAINERS = new Set([EBML_SEGMENT, EBML_INFO, EBML_TRACKS, EBML_TRACK_ENTRY, EBML_VIDEO]);
+
+const readUnsigned = (buffer, start, end) => {
+    let value = 0;
+    for (let i = start; i < end; i++) {
+        value = value * 256 + buffer[i];
+    }
+    return value;
+};
+
+// duration, frame size and which kinds of track there are, from the segment info and tracks near the
+// start of a webm file
+const readWebmMetadata = (header) => {
+    const found = {};
+
+    const walk = (start, end) => {
+        let offset = start;
+        while (offset < end) {
+            const id = readVint(header, offset, true);
+            if (!id) {
+                return;
+            }
+            const size = readVint(header, offset + id.length, false);
+            if (!size) {
+                return;
+            }
+            const dataStart = offset + id.length + size.length;
+            const dataEnd = Math.min(dataStart + size.value, end);
+
+            if (EBML_CONTAINERS.has(id.value)) {
+                walk(dataStart, dataEnd);
+            } else if (id.value === EBML_AUDIO) {
+                found.hasAudio = true;
+            } else if (id.value === EBML_TIMECODE_SCALE) {
+                found.timecodeScale = readUnsigned(header, dataStart, dataEnd);
+            } else if (id.value === EBML_DURATION) {
+                const length = dataEnd - dataStart;
+                if (length === 4) {
+                    found.duration = header.readFloatBE(dataStart);
+                } else if (length === 8) {
+                    found.duration = header.readDoubleBE(dataStart);
+                }
+            } else if (id.value === EBML_PIXEL_WIDTH && found.width === undefined) {
+                found.width = readUnsigned(header, dataStart, dataEnd);
+            } else if (id.value === EBML_PIXEL_HEIGHT && found.height === undefined) {
+                found.height = readUnsigned(header, dataStart, dataEnd);
+            }
+
+            if (!Number.isFinite(size.value)) {
+                return;
+            }
+            offset = dataStart + size.value;
+        }
+    };
+
+    walk(0, header.length);
+
+    const metadata = { hasVideo: Boolean(found.width && found.height), hasAudio: Boolean(found.hasAudio) };
+    if (found.duration !== undefined) {
+        // durations are in timecode ticks, 1,000,000ns each unless the file says otherwise
+        metadata.duration = found.duration * (found.timecodeScale || 1000000) / 1e9;
+    }
+    if (found.width && found.height) {
+        metadata.width = found.width;
+        metadata.height = found.height;
+    }
+    return metadata;
+};
+
+// duration and frame size from the main avi header (avih). null without one
+const readAviMetadata = (header) => {
+    const avih = header.indexOf('avih', 12, 'latin1');
+    if (avih === -1 || avih + 48 > header.length) {
+        return null;
+    }
+    const start = avih + 8;
+    const microsecondsPerFrame = header.readUInt32LE(start);
+    const totalFrames = header.readUInt32LE(start + 16);
+    const metadata = {
+        width: header.readUInt32LE(start + 32),
+        height: header.readUInt32LE(start + 36),
+    };
+    metadata.hasVideo = metadata.width > 0 && metadata.height > 0;
+    if (microsecondsPerFrame > 0 && totalFrames > 0) {
+        metadata.duration = microsecondsPerFrame * totalFrames / 1e6;
+    }
+    return metadata;
+};
+
+const MP3_BITRATES = {
+    1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+const MP3_SAMPLE_RATES = [44100, 48000, 32000];
+
+// how far past the id3 tag to look for the first frame
+const MP3_SCAN_BYTES = 8 * 1024;
+
+/*
+ * mp3 duration from the xing/info frame count, or from the bitrate for constant bitrate files. the id3 tag
+ * (which can hold cover art bigger than the header) is skipped, and the first frame must be followed by
+ * another one or by the end of the file. null when no such frame is found
+ */
+const readMp3Metadata = async (handle, header, fileSize) => {
+    let tagSize = 0;
+    if (ascii(header, 0, 3) === 'ID3' && header.length >= 10) {
+        // id3v2 tag size is a 28-bit syncsafe integer, plus a footer when the flags say so
+        tagSize = 10 + ((header[6] & 0x7F) << 21 | (header[7] & 0x7F) << 14 | (header[8] & 0x7F) << 7 | (header[9] & 0x7F))
+            + (header[5] & 0x10 ? 10 : 0);
+    }
+    const frames = Buffer.alloc(Math.max(0, Math.min(MP3_SCAN_BYTES, fileSize - tagSize)));
+    await handle.read(frames, 0, frames.length, tagSize);
+
+    let offset = 0;
+    while (offset + 4 <= frames.length && !isMp3FrameHeader(frames, offset)) {
+        offset += 1;
+    }
+    if (offset + 4 > frames.length) {
+        return null;
+    }
+
+    // version bits: 3 = mpeg 1, 2 = mpeg 2, 0 = mpeg 2.5
+    const versionBits = (frames[offset + 1] >> 3) & 0x03;
+    const mpeg1 = versionBits === 3;
+    const bitrate = MP3_BITRATES[mpeg1 ? 1 : 2][frames[offset + 2] >> 4];
+    const sampleRate = MP3_SAMPLE_RATES[(frames[offset + 2] >> 2) & 0x03] / (mpeg1 ? 1 : versionBits === 2 ? 2 : 4);
+    if (versionBits === 1 || !bitrate || !sampleRate) {
+        return null;
+    }
+
+    const padding = (frames[offset + 2] >> 1) & 0x01;
+    const frameLength = Math.floor((mpeg1 ? 144 : 72) * bitrate * 1000 / sampleRate) + padding;
+    const next = offset + frameLength;
+    const endsHere = tagSize + next >= fileSize;
+    if (!endsHere && (next + 4 > frames.length || !isMp3FrameHeader(frames, next))) {
+        return null;
+    }
+
+    const mono = (frames[offset + 3] >> 6) === 3;
+    const xingOffset = offset + 4 + (mpeg1 ? (mono ? 17 : 32) : (mono ? 9 : 17));
+    const tag = ascii(frames, xingOffset, xingOffset + 4);
+    if ((tag === 'Xing' || tag === 'Info') && xingOffset + 12 <= frames.length && (frames.readUInt32BE(xingOffset + 4) & 0x01)) {
+        const frameCount = frames.readUInt32BE(xingOffset + 8);
+        return { duration: frameCount * (mpeg1 ? 1152 : 576) / sampleRate };
+    }
+    return { duration: (fileSize - tagSize - offset) * 8 / (bitrate * 1000) };
+};
+
+const AAC_SAMPLE_RATE_COUNT = 13;
+
+// an adts stream (raw aac) has no duration up front. the first frame header must be sane and be followed
+// by another frame or the end of the file. null otherwise
+const readAacMetadata = (header) => {
+    if (header.length < 7 || ((header[2] >> 2) & 0x0F) >= AAC_SAMPLE_RATE_COUNT) {
+        return null;
+    }
+    const frameLength = ((header[3] & 0x03) << 11) | (header[4] << 3) | (header[5] >> 5);
+    if (frameLength < 7) {
+        return null;
+    }
+    if (frameLength === header.length) {
+        return {};
+    }
+    return frameLength + 2 <= header.length && header[frameLength] === 0xFF && (header[frameLength + 1] & 0xF6) === 0xF0
+        ? {}
+        : null;
+};
+
+// wav duration from the fmt chunk's byte rate and the size of the data chunk. null without both
+const readWavMetadata = (header) => {
+    let byteRate = 0;
+    let offset = 12;
+    while (offset + 8 <= header.length) {
+        const id = ascii(header, offset, offset + 4);
+        const size = header.readUInt32LE(offset + 4);
+        if (id === 'fmt ' && offset + 20 <= header.length) {
+            byteRate = header.readUInt32LE(offset + 16);
+        }
+        if (id === 'data') {
+            return byteRate > 0 ? { duration: size / byteRate } : null;
+        }
+        offset += 8 + size + (size % 2);
+    }
+    return null;
+};
+
+// ogg duration from the granule position of the last page, in samples of the opus or vorbis stream.
+// null when the stream is neither
+const readOggMetadata = async (handle, header, fileSize) => {
+    let sampleRate = 0;
+    let preSkip = 0;
+    const opusHead = header.indexOf('OpusHead', 0, 'latin1');
+    const vorbisHead = header.indexOf('\x01vorbis', 0, 'latin1');
+    if (opusHead !== -1 && opusHead + 12 <= header.length) {
+        // opus granule positions always count 48khz samples
+        sampleRate = 48000;
+        preSkip = header.readUInt16LE(opusHead + 10);
+    } else if (vorbisHead !== -1 && vorbisHead + 16 <= header.length) {
+        sampleRate = header.readUInt32LE(vorbisHead + 12);
+    }
+    if (!sampleRate) {
+        return null;
+    }
+
+    const tailLength = Math.min(fileSize, HEADER_BYTES);
+    const tail = Buffer.alloc(tailLength);
+    await handle.read(tail, 0, tailLength, fileSize - tailLength);
+    const lastPage = tail.lastIndexOf('OggS', tail.length, 'latin1');
+    if (lastPage === -1 || lastPage + 14 > tail.length) {
+        return {};
+    }
+    const granule = Number(tail.readBigInt64LE(lastPage + 6));
+    return granule > preSkip ? { duration: (granule - preSkip) / sampleRate } : {};
+};
+
+// flac duration from the streaminfo block that always comes first. null without one
+const readFlacMetadata = (header) => {
+    // block type 0 (streaminfo), 34 bytes long
+    if (header.length < 26 || (header[4] & 0x7F) !== 0 || header.readUIntBE(5, 3) !== 34) {
+        return null;
+    }
+    const sampleRate = (header[18] << 12) | (header[19] << 4) | (header[20] >> 4);
+    if (sampleRate === 0) {
+        return null;
+    }
+    const totalSamples = (header[21] & 0x0F) * 2 ** 32 + header.readUInt32BE(22);
+    return totalSamples > 0 ? { duration: totalSamples / sampleRate } : {};
+};
+
+/*
+ * look at what an uploaded file really is. resolves to
+ * { format, kind, mediaType, size, width?, height?, duration? } where kind is image, video, audio or file
+ * and mediaType is the kind, except that gifs have their own. null when the content is not one of FORMATS
+ * or can't be read as one.
+ */
+const inspectFile = async (filePath) => {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        const header = Buffer.alloc(Math.min(size, HEADER_BYTES));
+        await handle.read(header, 0, header.length, 0);
+
+        const format = detectFormat(header);
+        if (!format) {
+            return null;
+        }
+        let { kind } = FORMATS[format];
+
+        let metadata = {};
+        if (kind === 'image') {
+            // sharp decodes the header itself, so a file with a valid signature but a broken body fails here
+            const image = await sharp(filePath).metadata().catch(() => null);
+            if (!image || image.format !== format) {
+                return null;
+            }
+            metadata = { width: image.width, height: image.height };
+        } else if (format === 'mp4' || format === 'mov') {
+            metadata = await readIsoVideoMetadata(handle, size);
+        } else if (format === 'webm') {
+            metadata = readWebmMetadata(header);
+        } else if (format === 'avi') {
+            metadata = readAviMetadata(header);
+        } else if (format === 'mp3') {
+            metadata = await readMp3Metadata(handle, header, size);
+        } else if (format === 'aac') {
+            metadata = readAacMetadata(header);
+        } else if (format === 'wav') {
+            metadata = readWavMetadata(header);
+        } else if (format === 'ogg') {
+            metadata = await readOggMetadata(handle, header, size);
+        } else if (format === 'flac') {
+            metadata = readFlacMetadata(header);
+        }
+
+        if (!metadata) {
+            return null;
+        }
+
+        // containers have to hold a stream we can name. a voice note recorded into an mp4 or webm has
+        // an audio track and no picture
+        if (kind === 'video') {
+            const { hasVideo, hasAudio, ...info } = metadata;
+            if (!hasVideo && !(hasAudio && FORMATS[format].mayBeAudio)) {
+                return null;
+            }
+            kind = hasVideo ? 'video' : 'audio';
+            metadata = info;
+        }
+
+        if (metadata.duration !== undefined) {
+            metadata.duration = Math.round(metadata.duration * 1000) / 1000;
+        }
+
+        return { format, kind, mediaType: format === 'gif' ? 'gif' : kind, size, ...metadata };
+    } finally {
+        await handle.close();
+    }
+};
+
+/*
+ * the mime type to store for an upload detected as `media`, going by its extension. null when the extension
+ * doesn't belong to the detected format, e.g. a pdf renamed to .png
+ */
+const mimeTypeFor = (media, originalName) => {
+    const mimeType = FORMATS[media.format].extensions[path.extname(originalName || '').toLowerCase()];
+    if (!mimeType) {
+        return null;
+    }
+    // .webm and .mp4 voice notes are audio even though the extension says video
+    return media.kind === 'audio' ? mimeType.replace(/^video\//, 'audio/') : mimeType;
+};
+
+module.exports = { FORMATS, detectFormat, inspectFile, mimeTypeFor };
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+const MEDIA_VARIANTS = ['file', 'thumbnail'];
+// signed links live at least this long, and expiry is rounded up to EXPIRY_STEP so that the same
+// attachment keeps the same url for a while and browsers can cache it
+const DEFAULT_TTL_SECONDS = 60 * 60;
+const EXPIRY_STEP_SECONDS = 5 * 60;
+
+const signingSecret = () => process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET;
+
+const signature = (messageId, variant, expires) => crypto
+    .createHmac('sha256', signingSecret())
+    .update(`${messageId}:${variant}:${expires}`)
+    .digest('base64url');
+
+/*
+ * short-lived link to a message attachment that works without an Authorization header, so it can go
+ * straight into <img> and <video> tags. `variant` is 'file' or 'thumbnail'
+ */
+const signedMediaUrl = (messageId, variant = 'file') => {
+    const ttl = parseInt(process.env.MEDIA_URL_TTL_SECONDS, 10) || DEFAULT_TTL_SECONDS;
+    const now = Math.floor(Date.now() / 1000);
+    const expires = Math.ceil((now + ttl) / EXPIRY_STEP_SECONDS) * EXPIRY_STEP_SECONDS;
+    const suffix = variant === 'thumbnail' ? '/thumbnail' : '';
+    return `/api/media/${messageId}${suffix}?expires=${expires}&sig=${signature(messageId.toString(), variant, expires)}`;
+};
+
+// whether a signed link's query is genuine and not yet expired
+const verifyMediaSignature = (messageId, variant, { expires, sig } = {}) => {
+    const expiresAt = parseInt(expires, 10);
+    if (!expiresAt || typeof sig !== 'string' || expiresAt < Math.floor(Date.now() / 1000)) {
+        return false;
+    }
+    const expected = Buffer.from(signature(messageId, variant, expiresAt));
+    const given = Buffer.from(sig);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+module.exports = { MEDIA_VARIANTS, signedMediaUrl, verifyMediaSignature };
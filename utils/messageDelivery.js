@@ -0,0 +1,98 @@
+const Message = require('../models/Message');
+const { MESSAGE_POPULATE, formatMessage } = require('./messageFormatter');
+const { findReplyTarget, registerReply } = require('./replies');
+const { hiddenReceiverRooms } = require('./blocks');
+const { checkCanSend } = require('./sendPermissions');
+const { resurfaceChat } = require('./chatPreferences');
+const { clearTyping } = require('../socketHandlers/chatHandler');
+const { messageExpiry } = require('./disappearingMessages');
+
+// tell every participant's sidebar that the chat's last message changed. messageData is null once the chat is empty
+const emitLastMessageUpdate = (io, chat, messageData) => {
+    chat.participants.forEach(participantId => {
+        io.to(`user_${participantId.toString()}`).emit('chatUpdated', {
+            _id: chat._id.toString(),
+            name: chat.name,
+            type: chat.type,
+            participants: chat.participants,
+            admins: chat.admins,
+            lastMessage: messageData ? {
+                _id: messageData._id,
+                sender: messageData.sender,
+                content: messageData.content,
+                mediaUrl: messageData.mediaUrl,
+                mediaType: messageData.mediaType,
+                thumbnailUrl: messageData.mediaInfo ? messageData.mediaInfo.thumbnailUrl : null,
+                mediaInfo: messageData.mediaInfo,
+                editedAt: messageData.editedAt,
+                isDeleted: messageData.isDeleted,
+                timestamp: messageData.createdAt
+            } : null,
+            updatedAt: chat.updatedAt.toISOString(),
+        });
+    });
+};
+
+/*
+ * post a message to a chat on behalf of `sender` (a user document): permission checks, saving, reply
+ * bookkeeping, the chat's lastMessage, and the receive_message / chatUpdated events.
+ * shared by POST /api/chats/:chatId/messages and scheduled delivery, which passes the messageId it reserved.
+ * resolves to { messageData } or { status, code, error, retryAfter? } when the message was not sent.
+ */
+const deliverMessage = async (io, chat, sender, { content, mediaUrl = null, mediaType = null, mediaInfo = null, replyTo = null, messageId }) => {
+    const senderId = sender._id.toString();
+
+    if (!chat.participants.some(p => p.toString() === senderId)) {
+        return { status: 403, code: 'NOT_A_PARTICIPANT', error: 'not authorized to send messages to this chat' };
+    }
+
+    const rejection = await checkCanSend(chat, sender);
+    if (rejection) {
+        return rejection;
+    }
+
+    if (replyTo) {
+        const replyTarget = await findReplyTarget(chat._id, replyTo);
+        if (replyTarget.error) {
+            return replyTarget;
+        }
+    }
+
+    const newMessage = new Message({
+        _id: messageId,
+        chat: chat._id,
+        sender: senderId,
+        content,
+        mediaUrl,
+        mediaType,
+        mediaInfo,
+        replyTo: replyTo || null,
+        expiresAt: messageExpiry(chat)
+    });
+
+    const savedMessage = await newMessage.save();
+
+    if (replyTo) {
+        await registerReply(replyTo);
+    }
+    await resurfaceChat(chat._id);
+
+    chat.lastMessage = savedMessage._id;
+    chat.updatedAt = Date.now();
+    await chat.save();
+
+    await savedMessage.populate(MESSAGE_POPULATE);
+
+    const messageData = formatMessage(savedMessage);
+
+    if (io) {
+        clearTyping(io, chat._id, senderId);
+        const hiddenRooms = await hiddenReceiverRooms(chat, senderId);
+        io.to(chat._id.toString()).except(hiddenRooms).emit('receive_message', messageData);
+        emitLastMessageUpdate(io, chat, messageData);
+    }
+
+    return { messageData };
+};
+
+module.exports = { emitLastMessageUpdate, deliverMessage };
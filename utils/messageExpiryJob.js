@@ -0,0 +1,111 @@
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { MESSAGE_POPULATE, formatMessage } = require('./messageFormatter');
+const { emitLastMessageUpdate } = require('./messageDelivery');
+const { releaseMessageMedia } = require('./uploadedFiles');
+const { unpinMessages } = require('./pinnedMessages');
+const { unregisterReply } = require('./replies');
+
+const EXPIRY_SWEEP_MS = 30 * 1000;
+const EXPIRY_BATCH_SIZE = 200;
+
+// point chat.lastMessage at the newest message still around and refresh everyone's sidebar
+const recomputeLastMessage = async (io, chatId) => {
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+        return;
+    }
+
+    const newest = await Message.findOne({ chat: chatId, isSystemMessage: { $ne: true } })
+        .sort({ createdAt: -1 })
+        .populate(MESSAGE_POPULATE);
+    const newestId = newest ? newest._id.toString() : null;
+    const currentId = chat.lastMessage ? chat.lastMessage.toString() : null;
+    if (newestId === currentId) {
+        return;
+    }
+
+    await Chat.updateOne({ _id: chatId }, { lastMessage: newest ? newest._id : null });
+
+    if (io) {
+        emitLastMessageUpdate(io, chat, newest ? formatMessage(newest) : null);
+    }
+};
+
+// remove one batch of expired messages. resolves to how many were removed
+const expireBatch = async (io, now) => {
+    const expired = await Message.find({ expiresAt: { $lte: now } })
+        .sort({ expiresAt: 1 })
+        .limit(EXPIRY_BATCH_SIZE)
+        .select('chat mediaUrl mediaInfo replyTo')
+        .lean();
+    if (expired.length === 0) {
+        return 0;
+    }
+
+    const expiredIds = expired.map(message => message._id);
+    await Message.deleteMany({ _id: { $in: expiredIds } });
+
+    // replies that outlive their parent stay, the parent's count only matters while it exists
+    const expiredIdSet = new Set(expiredIds.map(id => id.toString()));
+    const survivingParents = expired
+        .filter(message => message.replyTo && !expiredIdSet.has(message.replyTo.toString()))
+        .map(message => message.replyTo);
+    for (const parentId of survivingParents) {
+        await unregisterReply(parentId);
+    }
+
+    const withMedia = new Map(expired.filter(message => message.mediaUrl).map(message => [message.mediaUrl, message]));
+    for (const message of withMedia.values()) {
+        await releaseMessageMedia(message);
+    }
+
+    const idsByChat = new Map();
+    expired.forEach(message => {
+        const chatId = message.chat.toString();
+        idsByChat.set(chatId, [...(idsByChat.get(chatId) || []), message._id.toString()]);
+    });
+
+    for (const [chatId, messageIds] of idsByChat) {
+        await unpinMessages(io, chatId, messageIds);
+        if (io) {
+            io.to(chatId).emit('messages_expired', { chatId, messageIds });
+        }
+        await recomputeLastMessage(io, chatId);
+    }
+
+    return expired.length;
+};
+
+const expireMessages = async (io) => {
+    const now = new Date();
+    let removed;
+    do {
+        removed = await expireBatch(io, now);
+    } while (removed === EXPIRY_BATCH_SIZE);
+};
+
+// sweep for expired messages every EXPIRY_SWEEP_MS. call once after the database connects
+const startExpiryJob = (io) => {
+    let running = false;
+
+    const sweep = async () => {
+        // a slow sweep must not overlap the next one
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            await expireMessages(io);
+        } catch (error) {
+            console.error('failed to remove expired messages:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    sweep();
+    return setInterval(sweep, EXPIRY_SWEEP_MS);
+};
+
+module.exports = { expireMessages, startExpiryJob };
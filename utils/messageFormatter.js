@@ -0,0 +1,89 @@
+const { summarizeReactions } = require('./reactions');
+const { signedMediaUrl } = require('./mediaUrls');
+
+const REPLY_EXCERPT_LENGTH = 120;
+
+// populate options every client-facing message needs: its sender and, for replies, the quoted original
+const MESSAGE_POPULATE = [
+    { path: 'sender', select: 'username profilePicture' },
+    {
+        path: 'replyTo',
+        select: 'sender content mediaType isDeleted createdAt',
+        populate: { path: 'sender', select: 'username profilePicture' }
+    },
+    { path: 'forwardedFrom.sender', select: 'username profilePicture' }
+];
+
+const formatUser = (user) => user ? {
+    _id: user._id.toString(),
+    username: user.username,
+    profilePicture: user.profilePicture || null,
+} : null;
+
+// inline summary of the message being replied to. null when replyTo is unset, unpopulated or gone
+const toReplyPreview = (original) => {
+    if (!original || original.sender === undefined) {
+        return null;
+    }
+    const content = original.content || '';
+    return {
+        _id: original._id.toString(),
+        sender: formatUser(original.sender),
+        excerpt: content.length > REPLY_EXCERPT_LENGTH ? `${content.slice(0, REPLY_EXCERPT_LENGTH).trimEnd()}…` : content,
+        mediaType: original.mediaType || null,
+        isDeleted: original.isDeleted || false,
+        createdAt: original.createdAt ? original.createdAt.toISOString() : null,
+    };
+};
+
+// "forwarded from" marker. the original sender is left out when they forward anonymously
+const toForwardedFrom = (forwardedFrom) => {
+    if (!forwardedFrom) {
+        return null;
+    }
+    return {
+        sender: forwardedFrom.anonymous ? null : formatUser(forwardedFrom.sender),
+        anonymous: forwardedFrom.anonymous || false,
+    };
+};
+
+// attachments are never exposed by their storage url, only through signed /api/media links
+const toMediaUrl = (message) => message.mediaUrl ? signedMediaUrl(message._id, 'file') : null;
+
+const toMediaInfo = (message) => message.mediaInfo ? {
+    originalName: message.mediaInfo.originalName || null,
+    mimeType: message.mediaInfo.mimeType || null,
+    size: message.mediaInfo.size ?? null,
+    width: message.mediaInfo.width ?? null,
+    height: message.mediaInfo.height ?? null,
+    duration: message.mediaInfo.duration ?? null,
+    thumbnailUrl: message.mediaInfo.thumbnailUrl ? signedMediaUrl(message._id, 'thumbnail') : null,
+} : null;
+
+// shape a message (document or lean object, populated with MESSAGE_POPULATE) the way clients receive it
+const formatMessage = (message) => ({
+    _id: message._id.toString(),
+    chat: message.chat.toString(),
+    sender: formatUser(message.sender),
+    content: message.content,
+    mediaUrl: toMediaUrl(message),
+    mediaType: message.mediaType,
+    mediaInfo: toMediaInfo(message),
+    isSystemMessage: message.isSystemMessage || false,
+    replyTo: toReplyPreview(message.replyTo),
+    forwardedFrom: toForwardedFrom(message.forwardedFrom),
+    replyCount: message.replyCount || 0,
+    reactions: summarizeReactions(message.reactions),
+    editedAt: message.editedAt ? message.editedAt.toISOString() : null,
+    editHistory: Array.isArray(message.editHistory) ? message.editHistory.map(version => ({
+        content: version.content,
+        replacedAt: version.replacedAt ? version.replacedAt.toISOString() : null,
+    })) : [],
+    isDeleted: message.isDeleted || false,
+    expiresAt: message.expiresAt ? message.expiresAt.toISOString() : null,
+    readBy: message.readBy ? message.readBy.map(id => id.toString()) : [],
+    createdAt: message.createdAt.toISOString(),
+    updatedAt: message.updatedAt.toISOString(),
+});
+
+module.exports = { MESSAGE_POPULATE, formatMessage, toReplyPreview, toMediaUrl, toMediaInfo };
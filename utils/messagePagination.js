@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const { MESSAGE_POPULATE, formatMessage } = require('./messageFormatter');
+const { notExpired } = require('./disappearingMessages');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// read before/after/around/limit from a request query. returns { error } when the query is unusable
+const parsePageQuery = (query) => {
+    const { before, after, around } = query;
+    const cursors = [before, after, around].filter(Boolean);
+
+    if (cursors.length > 1) {
+        return { error: 'use only one of before, after or around.' };
+    }
+    if (cursors.length === 1 && !mongoose.Types.ObjectId.isValid(cursors[0])) {
+        return { error: 'invalid cursor format.' };
+    }
+
+    let limit = DEFAULT_PAGE_SIZE;
+    if (query.limit !== undefined) {
+        if (typeof query.limit !== 'string' || !/^\d+$/.test(query.limit)) {
+            return { error: 'limit must be a positive number.' };
+        }
+        limit = parseInt(query.limit, 10);
+        if (limit < 1) {
+            return { error: 'limit must be a positive number.' };
+        }
+        limit = Math.min(limit, MAX_PAGE_SIZE);
+    }
+
+    if (around) {
+        return { mode: 'around', cursor: around, limit };
+    }
+    if (after) {
+        return { mode: 'after', cursor: after, limit };
+    }
+    return { mode: 'before', cursor: before || null, limit };
+};
+
+// messages strictly older (or newer) than the anchor, using _id to break createdAt ties
+const rangeFilter = (scope, anchor, direction) => {
+    const op = direction === 'older' ? '$lt' : '$gt';
+    return {
+        ...scope,
+        $or: [
+            { createdAt: { [op]: anchor.createdAt } },
+            { createdAt: anchor.createdAt, _id: { [op]: anchor._id } }
+        ]
+    };
+};
+
+const findMessages = async (filter, sortOrder, limit) => {
+    const docs = await Message.find(filter)
+        .sort({ createdAt: sortOrder, _id: sortOrder })
+        .limit(limit)
+        .populate(MESSAGE_POPULATE)
+        .lean();
+    return docs.map(formatMessage);
+};
+
+// page of older messages, returned oldest first like the full history used to be
+const fetchOlder = async (scope, anchor, limit) => {
+    const filter = anchor ? rangeFilter(scope, anchor, 'older') : scope;
+    const docs = await findMessages(filter, -1, limit + 1);
+    const hasMore = docs.length > limit;
+    const messages = docs.slice(0, limit).reverse();
+    return { messages, hasMore, cursor: messages.length ? messages[0]._id : null };
+};
+
+const fetchNewer = async (scope, anchor, limit) => {
+    const docs = await findMessages(rangeFilter(scope, anchor, 'newer'), 1, limit + 1);
+    const hasMore = docs.length > limit;
+    const messages = docs.slice(0, limit);
+    return { messages, hasMore, cursor: messages.length ? messages[messages.length - 1]._id : null };
+};
+
+/*
+ * fetch one page of a chat's history.
+ * - before (default): the newest `limit` messages older than the cursor. nextCursor pages further back.
+ * - after: the oldest `limit` messages newer than the cursor. nextCursor pages further forward.
+ * - around: a window centred on the cursor message, with cursors for both directions.
+ * excludeSenders hides messages from those users (a viewer's blocked users in group chats).
+ * resolves to null when the cursor message does not exist in this chat.
+ */
+const fetchMessagePage = async (chatId, { mode, cursor, limit, excludeSenders = [] }) => {
+    const scope = { chat: chatId, ...notExpired() };
+    if (excludeSenders.length) {
+        scope.sender = { $nin: excludeSenders };
+    }
+
+    let anchor = null;
+    if (cursor) {
+        anchor = await Message.findOne({ _id: cursor, chat: chatId, ...notExpired() }).select('_id createdAt').lean();
+        if (!anchor) {
+            return null;
+        }
+    }
+
+    if (mode === 'after') {
+        const page = await fetchNewer(scope, anchor, limit);
+        return { messages: page.messages, nextCursor: page.cursor, hasMore: page.hasMore };
+    }
+
+    if (mode === 'around') {
+        // the window always holds at least one message on each side of the target
+        const windowSize = Math.max(limit, 3);
+        const olderLimit = Math.floor((windowSize - 1) / 2);
+        const newerLimit = windowSize - 1 - olderLimit;
+
+        const [target, older, newer] = await Promise.all([
+            Message.findOne({ _id: anchor._id, ...notExpired() }).populate(MESSAGE_POPULATE).lean(),
+            fetchOlder(scope, anchor, olderLimit),
+            fetchNewer(scope, anchor, newerLimit),
+        ]);
+
+        return {
+            // the target can expire between the anchor lookup and this read
+            messages: [...older.messages, ...(target ? [formatMessage(target)] : []), ...newer.messages],
+            anchorId: anchor._id.toString(),
+            olderCursor: older.cursor || anchor._id.toString(),
+            hasOlder: older.hasMore,
+            newerCursor: newer.cursor || anchor._id.toString(),
+            hasNewer: newer.hasMore,
+        };
+    }
+
+    const page = await fetchOlder(scope, anchor, limit);
+    return { messages: page.messages, nextCursor: page.cursor, hasMore: page.hasMore };
+};
+
+module.exports = { parsePageQuery, fetchMessagePage };
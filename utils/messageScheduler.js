@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const { deliverMessage } = require('./messageDelivery');
+
+// setTimeout can't wait longer than this, so far-off jobs re-arm themselves until they are due
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// scheduled message id -> timeout handle. MongoDB is the source of truth, this only mirrors pending jobs
+const timers = new Map();
+let schedulerIo = null;
+
+const formatScheduledMessage = (job) => ({
+    _id: job._id.toString(),
+    chat: job.chat.toString(),
+    sender: job.sender.toString(),
+    content: job.content,
+    replyTo: job.replyTo ? job.replyTo.toString() : null,
+    sendAt: job.sendAt.toISOString(),
+    status: job.status,
+    failureCode: job.failureCode || null,
+    message: job.message ? job.message.toString() : null,
+    sentAt: job.sentAt ? job.sentAt.toISOString() : null,
+    createdAt: job.createdAt.toISOString(),
+    updatedAt: job.updatedAt.toISOString(),
+});
+
+const finishJob = async (job, status, fields = {}) => {
+    Object.assign(job, { status, ...fields });
+    await job.save();
+
+    if (schedulerIo) {
+        schedulerIo.to(`user_${job.sender.toString()}`).emit('scheduled_message_updated', formatScheduledMessage(job));
+    }
+};
+
+const runJob = async (jobId) => {
+    timers.delete(jobId);
+
+    // claim the job and reserve the id its message will get, so a restart can tell whether it went out.
+    // if it was cancelled or moved to a later time in the meantime there is nothing to do
+    const job = await ScheduledMessage.findOneAndUpdate(
+        { _id: jobId, status: 'pending', sendAt: { $lte: new Date() } },
+        { status: 'sending', message: new mongoose.Types.ObjectId() },
+        { new: true }
+    );
+    if (!job) {
+        return;
+    }
+
+    try {
+        const [chat, sender] = await Promise.all([
+            Chat.findById(job.chat),
+            User.findById(job.sender).select('-password'),
+        ]);
+
+        // the sender left (or the chat is gone): the message is dropped rather than posted
+        if (!chat || !sender || !chat.participants.some(p => p.toString() === job.sender.toString())) {
+            await finishJob(job, 'dropped', { failureCode: 'NOT_A_PARTICIPANT', message: null });
+            return;
+        }
+
+        const result = await deliverMessage(schedulerIo, chat, sender, { content: job.content, replyTo: job.replyTo, messageId: job.message });
+        if (result.error) {
+            await finishJob(job, 'failed', { failureCode: result.code || 'SEND_REJECTED', message: null });
+            return;
+        }
+
+        await finishJob(job, 'sent', { message: result.messageData._id, sentAt: new Date() });
+    } catch (error) {
+        console.error(`failed to deliver scheduled message ${jobId}:`, error);
+        await finishJob(job, 'failed', { failureCode: 'DELIVERY_ERROR', message: null }).catch(() => {});
+    }
+};
+
+// arm (or re-arm) the timer for a pending job
+const scheduleDelivery = (job) => {
+    const jobId = job._id.toString();
+    unscheduleDelivery(jobId);
+
+    const delay = Math.max(0, job.sendAt.getTime() - Date.now());
+    const timer = setTimeout(() => {
+        if (delay > MAX_TIMER_MS) {
+            scheduleDelivery(job);
+            return;
+        }
+        runJob(jobId).catch(error => console.error(`scheduled message ${jobId} failed:`, error));
+    }, Math.min(delay, MAX_TIMER_MS));
+
+    timers.set(jobId, timer);
+};
+
+const unscheduleDelivery = (jobId) => {
+    const timer = timers.get(jobId.toString());
+    if (timer) {
+        clearTimeout(timer);
+        timers.delete(jobId.toString());
+    }
+};
+
+/*
+ * load every pending job from MongoDB and arm its timer. jobs that came due while the server was down
+ * are sent straight away. call once after the database connects.
+ */
+const startScheduler = async (io) => {
+    schedulerIo = io;
+
+    // a crash mid-delivery leaves a job claimed but unfinished. if its reserved message was saved it went out
+    // and only the bookkeeping is missing, otherwise it goes back in the queue to be retried
+    const interrupted = await ScheduledMessage.find({ status: 'sending' });
+    for (const job of interrupted) {
+        const delivered = job.message && await Message.findById(job.message).select('createdAt').lean();
+        if (delivered) {
+            await finishJob(job, 'sent', { sentAt: delivered.createdAt });
+        } else {
+            job.status = 'pending';
+            job.message = null;
+            await job.save();
+        }
+    }
+
+    const pending = await ScheduledMessage.find({ status: 'pending' }).select('sendAt').lean();
+    pending.forEach(scheduleDelivery);
+    console.log(`scheduler armed ${pending.length} scheduled message(s)`);
+};
+
+module.exports = { formatScheduledMessage, scheduleDelivery, unscheduleDelivery, startScheduler };
@@ -0,0 +1,48 @@
+const SNIPPET_RADIUS = 60;
+
+const escapeRegex = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// words the user searched for, without the quotes and negations mongodb's $text syntax allows
+const searchTerms = (query) => query
+    .split(/\s+/)
+    .map(term => term.replace(/^-/, '').replace(/"/g, ''))
+    .filter(term => term.length > 0);
+
+/*
+ * cut a window of `content` around the first matching term and report where each term occurs in it.
+ * highlights are [start, end) offsets into snippet.text so clients can mark them up safely.
+ * $text matches stemmed words, so a term also highlights words it is a prefix of.
+ */
+const buildSnippet = (content, query) => {
+    const terms = searchTerms(query);
+    if (!content || terms.length === 0) {
+        return { text: content || '', highlights: [] };
+    }
+
+    // \b and \w only know ascii letters, so word edges are spelled out for every script
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+    const firstMatch = pattern.exec(content);
+    pattern.lastIndex = 0;
+
+    let start = 0;
+    let end = content.length;
+    if (content.length > SNIPPET_RADIUS * 2) {
+        const centre = firstMatch ? firstMatch.index : 0;
+        start = Math.max(0, centre - SNIPPET_RADIUS);
+        end = Math.min(content.length, start + SNIPPET_RADIUS * 2);
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < content.length ? '…' : '';
+    const window = content.slice(start, end);
+
+    const highlights = [];
+    let match;
+    while ((match = pattern.exec(window)) !== null) {
+        highlights.push([match.index + prefix.length, match.index + prefix.length + match[0].length]);
+    }
+
+    return { text: `${prefix}${window}${suffix}`, highlights };
+};
+
+module.exports = { buildSnippet };
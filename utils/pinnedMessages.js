@@ -0,0 +1,84 @@
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { MESSAGE_POPULATE, formatMessage } = require('./messageFormatter');
+const { notExpired } = require('./disappearingMessages');
+
+const MAX_PINNED_MESSAGES = 10;
+
+const formatPin = (pin, message) => ({
+    message: formatMessage(message),
+    pinnedBy: pin.pinnedBy.toString(),
+    pinnedAt: new Date(pin.pinnedAt).toISOString(),
+});
+
+// the chat's pins with their messages, most recent pin first. pins whose message is gone are skipped
+const loadPins = async (chat) => {
+    const pins = chat.pinnedMessages || [];
+    if (pins.length === 0) {
+        return [];
+    }
+
+    const messages = await Message.find({ _id: { $in: pins.map(pin => pin.message) }, isDeleted: { $ne: true }, ...notExpired() })
+        .populate(MESSAGE_POPULATE)
+        .lean();
+    const messagesById = new Map(messages.map(message => [message._id.toString(), message]));
+
+    return pins
+        .filter(pin => messagesById.has(pin.message.toString()))
+        .sort((a, b) => new Date(b.pinnedAt) - new Date(a.pinnedAt))
+        .map(pin => formatPin(pin, messagesById.get(pin.message.toString())));
+};
+
+/*
+ * pin a message atomically, so two admins pinning at once can't push the chat past the limit.
+ * resolves to { pin } or { status, code, error }.
+ */
+const pinMessage = async (chatId, messageId, userId) => {
+    const pin = { message: messageId, pinnedBy: userId, pinnedAt: new Date() };
+
+    const updated = await Chat.findOneAndUpdate(
+        {
+            _id: chatId,
+            'pinnedMessages.message': { $ne: messageId },
+            [`pinnedMessages.${MAX_PINNED_MESSAGES - 1}`]: { $exists: false },
+        },
+        { $push: { pinnedMessages: pin } },
+        { new: true }
+    );
+    if (updated) {
+        return { pin };
+    }
+
+    const chat = await Chat.findById(chatId).select('pinnedMessages');
+    if (chat && chat.pinnedMessages.some(existing => existing.message.toString() === messageId.toString())) {
+        return { status: 409, code: 'ALREADY_PINNED', error: 'this message is already pinned.' };
+    }
+    return {
+        status: 409,
+        code: 'PIN_LIMIT_REACHED',
+        error: `a chat can have at most ${MAX_PINNED_MESSAGES} pinned messages. unpin one first.`,
+    };
+};
+
+// drop pins for the given messages and tell the chat room. used for unpinning and when messages go away
+const unpinMessages = async (io, chatId, messageIds) => {
+    const ids = new Set(messageIds.map(id => id.toString()));
+    const chat = await Chat.findById(chatId).select('pinnedMessages');
+    const pinnedIds = chat
+        ? chat.pinnedMessages.map(pin => pin.message.toString()).filter(id => ids.has(id))
+        : [];
+    if (pinnedIds.length === 0) {
+        return [];
+    }
+
+    await Chat.updateOne({ _id: chatId }, { $pull: { pinnedMessages: { message: { $in: pinnedIds } } } });
+
+    if (io) {
+        pinnedIds.forEach(messageId => {
+            io.to(chatId.toString()).emit('message_unpinned', { chatId: chatId.toString(), messageId });
+        });
+    }
+    return pinnedIds;
+};
+
+module.exports = { MAX_PINNED_MESSAGES, formatPin, loadPins, pinMessage, unpinMessages };
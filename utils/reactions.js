@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+
+const MAX_EMOJI_LENGTH = 32;
+
+// reactions are stored under the emoji as a map key, so it has to be a short pictographic string
+// without the characters mongodb reserves in field names
+const isValidEmoji = (emoji) => typeof emoji === 'string'
+    && emoji.length > 0
+    && emoji.length <= MAX_EMOJI_LENGTH
+    && !/[.$\s]/.test(emoji)
+    && /\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(emoji);
+
+// aggregate the emoji -> user ids map into the list clients render. accepts a Map (document) or object (lean)
+const summarizeReactions = (reactions) => {
+    if (!reactions) {
+        return [];
+    }
+    const entries = reactions instanceof Map ? Array.from(reactions.entries()) : Object.entries(reactions);
+    return entries
+        .filter(([, userIds]) => Array.isArray(userIds) && userIds.length > 0)
+        .map(([emoji, userIds]) => ({
+            emoji,
+            count: userIds.length,
+            users: userIds.map(id => id.toString()),
+        }));
+};
+
+/*
+ * add or remove the user's reaction on a message. the emoji -> user ids sets give every user at most
+ * one reaction per emoji. resolves to { status, error } on failure, or the message's updated reactions.
+ */
+const applyReaction = async ({ chatId, messageId, userId, emoji, action }) => {
+    if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+        return { status: 400, error: 'invalid id format.' };
+    }
+    if (!['add', 'remove'].includes(action)) {
+        return { status: 400, error: 'reaction action must be add or remove.' };
+    }
+    if (!isValidEmoji(emoji)) {
+        return { status: 400, error: 'a single emoji is required.' };
+    }
+
+    const chat = await Chat.findById(chatId).select('participants');
+    if (!chat) {
+        return { status: 404, error: 'chat not found.' };
+    }
+    if (!chat.participants.some(p => p.toString() === userId.toString())) {
+        return { status: 403, error: 'only chat participants can react to messages.' };
+    }
+
+    const message = await Message.findOne({ _id: messageId, chat: chatId }).select('isDeleted');
+    if (!message) {
+        return { status: 404, error: 'message not found.' };
+    }
+    if (message.isDeleted) {
+        return { status: 400, error: 'cannot react to a deleted message.' };
+    }
+
+    const reactionPath = `reactions.${emoji}`;
+    const update = action === 'add'
+        ? { $addToSet: { [reactionPath]: userId } }
+        : { $pull: { [reactionPath]: userId } };
+
+    let updated = await Message.findByIdAndUpdate(messageId, update, { new: true }).select('reactions');
+    if (!updated) {
+        return { status: 404, error: 'message not found.' };
+    }
+
+    // drop emptied emoji keys so they don't linger in the map
+    if (action === 'remove' && updated.reactions && updated.reactions.get(emoji)?.length === 0) {
+        updated = await Message.findOneAndUpdate(
+            { _id: messageId, [reactionPath]: { $size: 0 } },
+            { $unset: { [reactionPath]: 1 } },
+            { new: true }
+        ).select('reactions') || updated;
+    }
+
+    return {
+        chatId: chatId.toString(),
+        messageId: messageId.toString(),
+        userId: userId.toString(),
+        emoji,
+        action,
+        reactions: summarizeReactions(updated.reactions),
+    };
+};
+
+module.exports = { applyReaction, summarizeReactions };
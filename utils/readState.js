@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+const findReadState = (chat, userId) => (chat.readStates || [])
+    .find(state => state.user && state.user.toString() === userId.toString()) || null;
+
+// messages in `chat` that `userId` has not read yet. chats without a cursor fall back to legacy readBy
+const unreadFilter = (chat, userId) => {
+    const userObjectId = toObjectId(userId);
+    const filter = {
+        chat: toObjectId(chat._id),
+        sender: { $ne: userObjectId },
+        isSystemMessage: { $ne: true },
+        isDeleted: { $ne: true },
+    };
+
+    const state = findReadState(chat, userId);
+    if (state) {
+        filter.createdAt = { $gt: state.lastReadAt };
+    } else {
+        filter.readBy = { $ne: userObjectId };
+    }
+    return filter;
+};
+
+// exact unread counts for a list of chats (each needs _id and readStates) in a single aggregation
+const countUnread = async (chats, userId) => {
+    const counts = new Map();
+    if (!chats.length) {
+        return counts;
+    }
+
+    const rows = await Message.aggregate([
+        { $match: { $or: chats.map(chat => unreadFilter(chat, userId)) } },
+        { $group: { _id: '$chat', count: { $sum: 1 } } },
+    ]);
+    rows.forEach(row => counts.set(row._id.toString(), row.count));
+    return counts;
+};
+
+/*
+ * move the user's read cursor in a chat forward to `messageId`, or to the newest message when omitted.
+ * the cursor never moves backwards. resolves to the cursor now in effect, or null if the chat has no
+ * messages or the message is not part of it.
+ */
+const markChatRead = async (chatId, userId, messageId = null) => {
+    const query = messageId ? { _id: messageId, chat: chatId } : { chat: chatId };
+    const target = await Message.findOne(query).sort({ createdAt: -1, _id: -1 }).select('_id createdAt').lean();
+    if (!target) {
+        return null;
+    }
+
+    const cursor = { user: userId, lastReadMessage: target._id, lastReadAt: target.createdAt };
+
+    const moved = await Chat.updateOne(
+        { _id: chatId, readStates: { $elemMatch: { user: userId, lastReadAt: { $lt: target.createdAt } } } },
+        { $set: { 'readStates.$.lastReadMessage': target._id, 'readStates.$.lastReadAt': target.createdAt } }
+    );
+    if (moved.matchedCount === 0) {
+        await Chat.updateOne(
+            { _id: chatId, 'readStates.user': { $ne: userId } },
+            { $push: { readStates: cursor } }
+        );
+    }
+
+    const chat = await Chat.findById(chatId).select('readStates').lean();
+    return findReadState(chat, userId) || cursor;
+};
+
+module.exports = { countUnread, markChatRead, findReadState };
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const { notExpired } = require('./disappearingMessages');
+
+// look up the message being replied to. it has to live in the same chat and still exist
+const findReplyTarget = async (chatId, replyToId) => {
+    if (!mongoose.Types.ObjectId.isValid(replyToId)) {
+        return { status: 400, error: 'invalid reply message id format.' };
+    }
+
+    const original = await Message.findOne({ _id: replyToId, chat: chatId, ...notExpired() }).select('_id isDeleted');
+    if (!original) {
+        return { status: 404, error: 'the message being replied to was not found in this chat.' };
+    }
+    if (original.isDeleted) {
+        return { status: 400, error: 'cannot reply to a deleted message.' };
+    }
+    return { original };
+};
+
+// keep the parent's reply counter in step once a reply has been saved
+const registerReply = (replyToId) => Message.updateOne({ _id: replyToId }, { $inc: { replyCount: 1 } });
+
+// and once a reply is deleted or expires. never goes below zero
+const unregisterReply = (replyToId) => Message.updateOne(
+    { _id: replyToId, replyCount: { $gt: 0 } },
+    { $inc: { replyCount: -1 } }
+);
+
+module.exports = { findReplyTarget, registerReply, unregisterReply };
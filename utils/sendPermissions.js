@@ -0,0 +1,81 @@
+const Chat = require('../models/Chat');
+const { checkPrivateChatBlock } = require('./blocks');
+const { isAdmin } = require('./chatRoles');
+
+/*
+ * take the member's slow mode slot: succeeds when their last send is at least `seconds` ago, recording now
+ * as their last send in the same update, so concurrent sends can't all get through.
+ * resolves to null on success, otherwise to the seconds left to wait
+ */
+const claimSlowModeSlot = async (chatId, userId, seconds) => {
+    const now = new Date();
+    const renewed = await Chat.updateOne(
+        {
+            _id: chatId,
+            slowModeSends: { $elemMatch: { user: userId, lastSentAt: { $lte: new Date(now.getTime() - seconds * 1000) } } }
+        },
+        { $set: { 'slowModeSends.$.lastSentAt': now } }
+    );
+    if (renewed.modifiedCount > 0) {
+        return null;
+    }
+
+    const first = await Chat.updateOne(
+        { _id: chatId, 'slowModeSends.user': { $ne: userId } },
+        { $push: { slowModeSends: { user: userId, lastSentAt: now } } }
+    );
+    if (first.modifiedCount > 0) {
+        return null;
+    }
+
+    const chat = await Chat.findById(chatId).select('slowModeSends').lean();
+    const entry = (chat?.slowModeSends || []).find(send => send.user.toString() === userId.toString());
+    const waitMs = entry ? entry.lastSentAt.getTime() + seconds * 1000 - now.getTime() : 0;
+    return Math.max(1, Math.ceil(waitMs / 1000));
+};
+
+/*
+ * everything that can stop a participant from posting in a chat: blocks in private chats, and the
+ * announcement-only and slow mode settings in groups (admins are exempt from both).
+ * resolves to { status, code, error, retryAfter? } when the message must be rejected, otherwise null.
+ * every send path (rest, socket.io, scheduled delivery) goes through this check. in slow mode a send that
+ * passes has already used up the member's slot.
+ */
+const checkCanSend = async (chat, sender) => {
+    const blocked = await checkPrivateChatBlock(chat, sender);
+    if (blocked) {
+        return blocked;
+    }
+
+    if (chat.type !== 'group' || isAdmin(chat, sender._id)) {
+        return null;
+    }
+
+    const settings = chat.settings || {};
+    if (settings.onlyAdminsCanSend) {
+        return { status: 403, code: 'ADMIN_ONLY_MESSAGES', error: 'only admins can send messages in this group.' };
+    }
+
+    if (settings.slowModeSeconds > 0) {
+        const retryAfter = await claimSlowModeSlot(chat._id, sender._id, settings.slowModeSeconds);
+        if (retryAfter) {
+            return {
+                status: 429,
+                code: 'SLOW_MODE',
+                error: `slow mode is on. you can send another message in ${retryAfter} seconds.`,
+                retryAfter,
+            };
+        }
+    }
+
+    return null;
+};
+
+// shape a rejection for rest responses and socket messageError events alike
+const formatSendRejection = (rejection) => ({
+    message: rejection.error,
+    code: rejection.code,
+    ...(rejection.retryAfter ? { retryAfter: rejection.retryAfter } : {}),
+});
+
+module.exports = { checkCanSend, formatSendRejection };
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '1h';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// access tokens carry the session id so a revoked session stops working straight away
+const signAccessToken = (userId, sessionId) => jwt.sign(
+    { id: userId.toString(), sid: sessionId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// start a session for a freshly authenticated user and hand out its token pair
+const createSession = async (user, req) => {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        deviceName: req.body?.deviceName || null,
+        userAgent: req.get('user-agent') || null,
+        ip: req.ip || null,
+        expiresAt: refreshExpiry(),
+    });
+
+    return { token: signAccessToken(user._id, session._id), refreshToken, session };
+};
+
+/*
+ * swap a refresh token for a new token pair. the old refresh token stops working (rotation).
+ * resolves to null when the token is unknown, revoked or expired. the swap is a single update, so two
+ * concurrent refreshes with the same token can't both succeed
+ */
+const rotateSession = async (refreshToken) => {
+    const nextRefreshToken = crypto.randomBytes(48).toString('hex');
+    const now = new Date();
+    const session = await Session.findOneAndUpdate(
+        {
+            refreshTokenHash: hashToken(refreshToken),
+            revokedAt: null,
+            expiresAt: { $gt: now },
+        },
+        {
+            $set: {
+                refreshTokenHash: hashToken(nextRefreshToken),
+                lastUsedAt: now,
+                expiresAt: refreshExpiry(),
+            },
+        },
+        { new: true }
+    );
+    if (!session) {
+        return null;
+    }
+
+    return { token: signAccessToken(session.user, session._id), refreshToken: nextRefreshToken, session };
+};
+
+const isSessionActive = (sessionId) => Session.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+});
+
+// revoke a session and drop any sockets it still has open
+const revokeSession = async (io, session) => {
+    if (!session.revokedAt) {
+        session.revokedAt = new Date();
+        await session.save();
+    }
+    if (io) {
+        io.in(`session_${session._id.toString()}`).disconnectSockets(true);
+    }
+};
+
+// sign the user out everywhere, e.g. after a password reset
+const revokeAllSessions = async (io, userId) => {
+    await Session.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+    if (io) {
+        io.in(`user_${userId.toString()}`).disconnectSockets(true);
+    }
+};
+
+module.exports = { createSession, rotateSession, isSessionActive, revokeSession, revokeAllSessions, hashToken };
@@ -0,0 +1,68 @@
+const Message = require('../models/Message');
+const { formatGroupSettings } = require('./groupSettings');
+
+/*
+ * record a group event ("x added y", "x left") as a system message, then push it to the chat room
+ * and refresh every remaining participant's sidebar. `actorId` is stored as the message sender.
+ */
+const postSystemMessage = async (io, chat, actorId, content) => {
+    const systemMessage = new Message({
+        chat: chat._id,
+        sender: actorId,
+        content,
+        isSystemMessage: true,
+    });
+    await systemMessage.save();
+    await systemMessage.populate('sender', 'username profilePicture');
+
+    if (!io) {
+        return systemMessage;
+    }
+
+    await chat.populate('participants', 'username profilePicture');
+
+    const systemMessageData = {
+        _id: systemMessage._id.toString(),
+        chat: systemMessage.chat.toString(),
+        sender: {
+            _id: systemMessage.sender._id.toString(),
+            username: systemMessage.sender.username,
+            profilePicture: systemMessage.sender.profilePicture || null,
+        },
+        content: systemMessage.content,
+        isSystemMessage: true,
+        createdAt: systemMessage.createdAt.toISOString(),
+        updatedAt: systemMessage.updatedAt.toISOString(),
+    };
+
+    io.to(chat._id.toString()).emit('receive_message', systemMessageData);
+
+    chat.participants.forEach(participant => {
+        io.to(`user_${participant._id.toString()}`).emit('chatUpdated', {
+            _id: chat._id.toString(),
+            name: chat.name,
+            description: chat.description || '',
+            avatar: chat.avatar || null,
+            type: chat.type,
+            participants: chat.participants.map(p => ({
+                _id: p._id.toString(),
+                username: p.username,
+                profilePicture: p.profilePicture
+            })),
+            admins: chat.admins.map(id => id.toString()),
+            owner: chat.owner ? chat.owner.toString() : null,
+            settings: chat.type === 'group' ? formatGroupSettings(chat) : null,
+            disappearingSeconds: chat.disappearingSeconds || 0,
+            lastMessage: {
+                sender: { _id: systemMessage.sender._id.toString(), username: systemMessage.sender.username, profilePicture: systemMessage.sender.profilePicture },
+                content: systemMessage.content,
+                timestamp: systemMessage.createdAt.toISOString()
+            },
+            updatedAt: chat.updatedAt.toISOString(),
+        });
+    });
+
+    return systemMessage;
+};
+
+module.exports = { postSystemMessage };
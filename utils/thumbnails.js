@@ -0,0 +1,21 @@
+const path = require('path');
+const sharp = require('sharp');
+
+const THUMBNAIL_SIZE = 320;
+
+/*
+ * write a small webp preview of an uploaded image next to it, at most THUMBNAIL_SIZE on its longer side.
+ * animated gifs get a still of their first frame. resolves to the thumbnail's file path
+ */
+const createThumbnail = async (filePath) => {
+    const thumbnailPath = path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}-thumb.webp`);
+    await sharp(filePath)
+        .rotate() // respect exif orientation from phone cameras
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toFile(thumbnailPath);
+
+    return thumbnailPath;
+};
+
+module.exports = { createThumbnail };
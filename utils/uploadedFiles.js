@@ -0,0 +1,30 @@
+const Message = require('../models/Message');
+const { getStorage } = require('../storage');
+
+// remove a stored upload by the url it was saved under. urls the current driver doesn't own
+// (external links, files still waiting for a storage migration) are left alone
+const removeUploadedFile = (url) => {
+    const storage = getStorage();
+    const key = storage.keyFor(url);
+    if (!key) {
+        return;
+    }
+    storage.remove(key).catch((err) => {
+        console.error(`failed to remove uploaded file ${key}:`, err.message);
+    });
+};
+
+// forwarded copies point at the same upload, so a message's file (and its thumbnail) is only removed
+// once no message uses it. takes the message's mediaUrl and mediaInfo as they were before it went away
+const releaseMessageMedia = async ({ mediaUrl, mediaInfo }) => {
+    if (!mediaUrl || await Message.exists({ mediaUrl })) {
+        return;
+    }
+    removeUploadedFile(mediaUrl);
+    removeUploadedFile(mediaInfo?.thumbnailUrl);
+};
+
+// profile pictures and group avatars are stored as absolute urls so clients can use them as-is
+const absoluteUploadUrl = (req, url) => url && url.startsWith('/') ? `${req.protocol}://${req.get('host')}${url}` : url;
+
+module.exports = { removeUploadedFile, releaseMessageMedia, absoluteUploadUrl };